@@ -0,0 +1,177 @@
+/**
+ * Consent History
+ * Audit log of handled banners kept in IndexedDB, queryable per site.
+ * Loaded into the service worker with importScripts.
+ */
+
+class ConsentHistory {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxEntries - Oldest entries beyond this are pruned
+   */
+  constructor(options = {}) {
+    this.dbName = 'oneclick-cookies-history';
+    this.storeName = 'entries';
+    this.version = 1;
+    this.maxEntries = options.maxEntries || 5000;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open the database, creating the store and indexes on first use
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, this.version);
+
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('site', 'site');
+          store.createIndex('domain', 'domain');
+          store.createIndex('timestamp', 'timestamp');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Add an entry
+   * @param {Object} entry - See handleBannerHandled in service-worker.js for the fields
+   * @returns {Promise<number>} Entry ID
+   */
+  async add(entry) {
+    const store = await this.getStore('readwrite');
+    return ConsentHistory.request(store.add(entry));
+  }
+
+  /**
+   * Entries for a site, newest first
+   * @param {string} site - Registrable domain
+   * @param {number} limit
+   * @returns {Promise<Array<Object>>}
+   */
+  async queryBySite(site, limit = 50) {
+    const store = await this.getStore('readonly');
+    const entries = await ConsentHistory.request(store.index('site').getAll(IDBKeyRange.only(site)));
+    return entries.sort((a, b) => b.timestamp - a.timestamp).slice(0, limit);
+  }
+
+  /**
+   * All entries, newest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async getAll() {
+    const store = await this.getStore('readonly');
+    const entries = await ConsentHistory.request(store.getAll());
+    return entries.sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  /**
+   * @returns {Promise<number>} Number of entries
+   */
+  async count() {
+    const store = await this.getStore('readonly');
+    return ConsentHistory.request(store.count());
+  }
+
+  /**
+   * Delete entries older than the retention period and beyond the entry limit
+   * @param {number} retentionDays
+   * @returns {Promise<number>} Number of entries deleted
+   */
+  async prune(retentionDays) {
+    const store = await this.getStore('readwrite');
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    let deleted = 0;
+
+    // Oldest first; delete until both limits hold
+    let remaining = await ConsentHistory.request(store.count());
+    await new Promise((resolve, reject) => {
+      const cursorRequest = store.index('timestamp').openCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor || (cursor.value.timestamp >= cutoff && remaining <= this.maxEntries)) {
+          resolve();
+          return;
+        }
+        cursor.delete();
+        deleted++;
+        remaining--;
+        cursor.continue();
+      };
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+
+    return deleted;
+  }
+
+  /**
+   * Delete all entries, or only those of one site
+   * @param {string|null} site - Registrable domain
+   */
+  async clear(site = null) {
+    const store = await this.getStore('readwrite');
+    if (!site) {
+      await ConsentHistory.request(store.clear());
+      return;
+    }
+
+    const ids = await ConsentHistory.request(store.index('site').getAllKeys(IDBKeyRange.only(site)));
+    await Promise.all(ids.map(id => ConsentHistory.request(store.delete(id))));
+  }
+
+  /**
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @returns {Promise<IDBObjectStore>}
+   */
+  async getStore(mode) {
+    const db = await this.open();
+    return db.transaction(this.storeName, mode).objectStore(this.storeName);
+  }
+
+  /**
+   * Format entries as CSV
+   * @param {Array<Object>} entries
+   * @returns {string}
+   */
+  static toCSV(entries) {
+    const columns = [
+      'timestamp', 'domain', 'site', 'action', 'success', 'strategy', 'reason', 'denyFallback',
+      'cmpName', 'detectionType', 'buttonText', 'buttonSelector', 'tcfPurposes', 'tcfVendorCount'
+    ];
+
+    const escape = (value) => {
+      if (value === null || value === undefined) return '';
+      let text = Array.isArray(value) ? value.join(' ') : String(value);
+      // Page-controlled text such as button labels must not turn into spreadsheet formulas
+      if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = entries.map(entry => columns.map(column =>
+      escape(column === 'timestamp' ? new Date(entry.timestamp).toISOString() : entry[column])
+    ).join(','));
+
+    return [columns.join(','), ...rows].join('\n');
+  }
+
+  /**
+   * Wrap an IDBRequest in a promise
+   * @param {IDBRequest} request
+   * @returns {Promise<*>}
+   */
+  static request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
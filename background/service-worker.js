@@ -5,25 +5,244 @@
 
 'use strict';
 
-// Statistics tracking
+importScripts('consent-history.js');
+
+// Statistics tracking, loaded from storage by init()
 let stats = {
   bannersDetected: 0,
   bannersHandled: 0,
+  bannersFailed: 0,
+  denyFallbacks: {},
+  requestsBlocked: 0,
+  blockedByRule: {}, // '<rulesetId>:<ruleId>' -> count
+  daily: {}, // 'YYYY-MM-DD' -> bucket, see recordDailyStat()
   sitesVisited: new Set(),
   lastReset: Date.now()
 };
+// Resolves once `stats` holds the stored statistics; handlers that use them await it
+let statsReady = Promise.resolve();
+// Tail of the chain that serializes changes to the blocked-request state
+let blockedStateQueue = Promise.resolve();
+
+// Number of days of daily statistics kept
+const DAILY_STATS_DAYS = 90;
+
+// Global modes
+const MODES = ['auto-accept', 'auto-deny', 'custom', 'hide', 'manual'];
+
+// Deny fallback policies when no reject option works
+const DENY_FALLBACKS = ['accept', 'hide', 'settings', 'leave'];
 
 // Configuration defaults
 const DEFAULT_CONFIG = {
-  mode: 'manual', // 'auto-accept', 'auto-deny', 'manual'
+  mode: 'manual', // 'auto-accept', 'auto-deny', 'custom', 'hide', 'manual'
   debugMode: false,
-  whitelist: [],
-  blacklist: []
+  denyFallback: 'accept', // 'accept', 'hide', 'settings', 'leave'
+  // Purposes allowed in 'custom' mode; necessary cookies are always allowed
+  consentProfile: {
+    functional: true,
+    analytics: false,
+    advertising: false,
+    social: false
+  },
+  // Per-site overrides keyed by pattern: { [pattern]: { mode, notes, profile } }
+  // Kept in storage.local, see getConfig()
+  siteRules: {},
+  historyRetentionDays: 90
 };
 
-function normalizeDomain(domain) {
+// Retention periods offered for the consent history
+const HISTORY_RETENTION_DAYS = [30, 90, 180, 365];
+
+// Audit log of handled banners
+const consentHistory = new ConsentHistory({ maxEntries: 5000 });
+const HISTORY_PRUNE_INTERVAL = 60 * 60 * 1000;
+let lastHistoryPrune = 0;
+
+// Modes a site rule can set
+const SITE_RULE_MODES = ['accept', 'deny', 'custom', 'hide', 'ignore'];
+
+// Pattern scopes, see content/site-matcher.js:
+// 'exact' (shop.example.com), 'subdomains' (*.example.com), 'site' (site:example.com)
+const SITE_SCOPES = ['exact', 'subdomains', 'site'];
+
+// Public suffix rules from rules/public-suffix.json, loaded on demand
+let publicSuffixes = null;
+
+// Static ruleset from rules/blocking-rules.json that blocks CMP scripts
+const BLOCKING_RULESET_ID = 'cookie_scripts_blocker';
+
+// Modes in which CMP scripts are blocked; the others need the CMP to record consent
+const BLOCKING_MODES = ['auto-deny', 'hide'];
+const BLOCKING_SITE_MODES = ['deny', 'hide'];
+
+// Dynamic rule IDs reserved for site rules: allow exceptions while the ruleset is
+// enabled, per-site copies of it for `deny`/`hide` sites while it is disabled
+const SITE_RULE_ID_START = 1000000;
+const SITE_RULE_PRIORITY = 2;
+
+// Dynamic rule IDs for user-defined network rules, clear of the static ruleset's IDs.
+// They outrank the site exceptions; at equal priority DNR lets allow win over block.
+const CUSTOM_RULE_ID_START = 10000;
+const CUSTOM_RULE_PRIORITY = 3;
+const NETWORK_RULE_ACTIONS = ['block', 'allow'];
+// getMatchedRules is rate limited and only reports the last five minutes
+const MATCHED_RULES_ALARM = 'collect-matched-rules';
+const MATCHED_RULES_INTERVAL_MINUTES = 4;
+const MATCHED_RULES_MIN_GAP = 30000;
+const DYNAMIC_RULESET_ID = '_dynamic';
+
+const NETWORK_RESOURCE_TYPES = [
+  'main_frame', 'sub_frame', 'stylesheet', 'script', 'image', 'font', 'object',
+  'xmlhttprequest', 'ping', 'csp_report', 'media', 'websocket', 'webtransport', 'webbundle', 'other'
+];
+
+// Maximum number of per-site TCF consent records kept in local storage
+const MAX_CONSENT_RECORDS = 500;
+
+/**
+ * Normalize a host or site rule pattern
+ * Accepts plain hosts, pasted URLs and `*.`/`site:` patterns. Whole-site
+ * patterns are reduced to the registrable domain, so call
+ * loadPublicSuffixes() before using the 'site' scope.
+ * @param {string} domain
+ * @param {string|null} scope - 'exact', 'subdomains' or 'site'; defaults to the pattern's own
+ * @returns {string|null} Pattern, or null when invalid
+ */
+function normalizeDomain(domain, scope = null) {
   if (!domain || typeof domain !== 'string') return null;
-  return domain.trim().toLowerCase();
+
+  let value = domain.trim().toLowerCase();
+  let patternScope = 'exact';
+  if (value.startsWith('site:')) {
+    patternScope = 'site';
+    value = value.slice(5);
+  } else if (value.startsWith('*.')) {
+    patternScope = 'subdomains';
+    value = value.slice(2);
+  }
+
+  const host = parseHost(value);
+  if (!host) return null;
+
+  switch (SITE_SCOPES.includes(scope) ? scope : patternScope) {
+    case 'subdomains':
+      // A wildcard over a public suffix would match whole TLDs
+      return isIPAddress(host) || getPublicSuffix(host) === host ? null : `*.${host}`;
+    case 'site': {
+      const site = getRegistrableDomain(host);
+      return site ? `site:${site}` : null;
+    }
+    default:
+      return host;
+  }
+}
+
+/**
+ * Extract the hostname from a host or URL
+ * @param {string} value
+ * @returns {string|null} Lowercase, punycode-encoded hostname
+ */
+function parseHost(value) {
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//.test(value) ? value : `http://${value}`);
+    return url.hostname.replace(/\.$/, '') || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * @param {string} host
+ * @returns {boolean}
+ */
+function isIPAddress(host) {
+  return /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.startsWith('[');
+}
+
+/**
+ * Load the bundled public suffix list
+ * @returns {Promise<Set<string>>}
+ */
+async function loadPublicSuffixes() {
+  if (!publicSuffixes) {
+    const response = await fetch(chrome.runtime.getURL('rules/public-suffix.json'));
+    const data = await response.json();
+    publicSuffixes = new Set(data.rules.map(toPunycodeRule));
+  }
+  return publicSuffixes;
+}
+
+/**
+ * Spell a public suffix rule the way URL hostnames are spelled
+ * The list writes internationalized domains in Unicode (`公司.cn`), hosts arrive in punycode.
+ * @param {string} rule - e.g. `公司.cn`, `*.kawasaki.jp` or `!city.kawasaki.jp`
+ * @returns {string} e.g. `xn--55qx5d.cn`
+ */
+function toPunycodeRule(rule) {
+  if (/^[\x00-\x7f]*$/.test(rule)) return rule;
+
+  const [, prefix, domain] = rule.match(/^(\*\.|!)?(.*)$/);
+  try {
+    return `${prefix || ''}${new URL(`http://${domain}`).hostname}`;
+  } catch (error) {
+    return rule;
+  }
+}
+
+/**
+ * Find the public suffix (eTLD) of a host using the loaded list
+ * Follows the publicsuffix.org algorithm: the longest matching rule wins,
+ * exception rules (`!`) beat wildcards (`*.`), and unlisted TLDs are suffixes
+ * @param {string} host
+ * @returns {string}
+ */
+function getPublicSuffix(host) {
+  const rules = publicSuffixes || new Set();
+  const labels = host.split('.');
+
+  for (let i = 0; i < labels.length; i++) {
+    const candidate = labels.slice(i).join('.');
+    if (rules.has(`!${candidate}`)) {
+      return labels.slice(i + 1).join('.');
+    }
+    if (rules.has(candidate)) {
+      return candidate;
+    }
+    if (i + 1 < labels.length && rules.has(`*.${labels.slice(i + 1).join('.')}`)) {
+      return candidate;
+    }
+  }
+
+  return labels[labels.length - 1];
+}
+
+/**
+ * Find the registrable domain (eTLD+1) of a host
+ * @param {string} host
+ * @returns {string|null} Null for IP addresses and bare public suffixes
+ */
+function getRegistrableDomain(host) {
+  if (!host || isIPAddress(host)) return null;
+
+  const suffix = getPublicSuffix(host);
+  if (host === suffix) return null;
+
+  return host.split('.').slice(-(suffix.split('.').length + 1)).join('.');
+}
+
+/**
+ * Patterns a host can be added with, one per scope
+ * @param {string} domain
+ * @returns {Promise<Object>} `{ exact, subdomains, site }`, null where not possible
+ */
+async function getSiteScopes(domain) {
+  await loadPublicSuffixes();
+  return {
+    exact: normalizeDomain(domain, 'exact'),
+    subdomains: normalizeDomain(domain, 'subdomains'),
+    site: normalizeDomain(domain, 'site')
+  };
 }
 
 function dedupeDomains(list) {
@@ -31,22 +250,127 @@ function dedupeDomains(list) {
   return Array.from(new Set(list.map(d => normalizeDomain(d)).filter(Boolean)));
 }
 
+/**
+ * Validate one configuration value
+ * @param {string} key - Key of DEFAULT_CONFIG
+ * @param {*} value
+ * @returns {*} Clean value, or undefined when the key is unknown or the value invalid.
+ *   A consent profile may name only some purposes; site rules must be normalized by the caller.
+ */
+function normalizeConfigValue(key, value) {
+  switch (key) {
+    case 'mode':
+      return MODES.includes(value) ? value : undefined;
+    case 'debugMode':
+      return typeof value === 'boolean' ? value : undefined;
+    case 'denyFallback':
+      return DENY_FALLBACKS.includes(value) ? value : undefined;
+    case 'historyRetentionDays':
+      return HISTORY_RETENTION_DAYS.includes(value) ? value : undefined;
+    case 'consentProfile': {
+      if (!value || typeof value !== 'object') return undefined;
+      const entries = Object.entries(value);
+      const valid = entries.every(([purpose, allowed]) =>
+        purpose in DEFAULT_CONFIG.consentProfile && typeof allowed === 'boolean'
+      );
+      return valid ? Object.fromEntries(entries) : undefined;
+    }
+    case 'siteRules':
+      return value && typeof value === 'object' ? value : undefined;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Validate a single site rule
+ * @param {Object} rule
+ * @returns {Object|null} Clean rule, or null when invalid
+ */
+function normalizeSiteRule(rule) {
+  if (!rule || typeof rule !== 'object' || !SITE_RULE_MODES.includes(rule.mode)) return null;
+
+  const normalized = {
+    mode: rule.mode,
+    notes: typeof rule.notes === 'string' ? rule.notes.trim().slice(0, 500) : ''
+  };
+  if (rule.mode === 'custom' && rule.profile && typeof rule.profile === 'object') {
+    normalized.profile = { ...rule.profile };
+  }
+  return normalized;
+}
+
+/**
+ * Validate a site rule map, normalizing domains and dropping invalid rules
+ * @param {Object} rules
+ * @returns {Object}
+ */
+function normalizeSiteRules(rules) {
+  const normalized = {};
+  if (!rules || typeof rules !== 'object') return normalized;
+
+  for (const [domain, rule] of Object.entries(rules)) {
+    const normalizedDomain = normalizeDomain(domain);
+    const normalizedRule = normalizeSiteRule(rule);
+    if (normalizedDomain && normalizedRule) {
+      normalized[normalizedDomain] = normalizedRule;
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Convert legacy whitelist/blacklist arrays into site rules
+ * Whitelisted sites become 'accept', blacklisted sites become 'ignore'
+ * @param {Object} siteRules - Existing rules, which take precedence
+ * @param {Array<string>} whitelist
+ * @param {Array<string>} blacklist
+ * @returns {Object}
+ */
+function siteRulesFromLegacyLists(siteRules, whitelist, blacklist) {
+  const rules = {};
+  for (const domain of dedupeDomains(whitelist)) {
+    rules[domain] = { mode: 'accept', notes: '' };
+  }
+  for (const domain of dedupeDomains(blacklist)) {
+    rules[domain] = { mode: 'ignore', notes: '' };
+  }
+  return { ...rules, ...normalizeSiteRules(siteRules) };
+}
+
 /**
  * Initialize service worker
+ * Listeners are registered synchronously: the event that woke a suspended worker
+ * (an alarm, onStartup, a message) is dispatched as soon as this script has run,
+ * before anything awaited here would resolve. Handlers wait for `statsReady` instead.
  */
-async function init() {
+function init() {
   console.log('[OneClick Cookies] Service worker initialized');
 
-  // Load statistics from storage
-  await loadStats();
+  statsReady = loadStats();
 
   // Setup listeners
+  chrome.runtime.onStartup.addListener(syncBlockingRules);
   chrome.runtime.onMessage.addListener(handleMessage);
   chrome.runtime.onInstalled.addListener(handleInstall);
+  chrome.storage.onChanged.addListener(handleStorageChanged);
   
   // Track active tabs
   chrome.tabs.onActivated.addListener(handleTabActivated);
   chrome.tabs.onUpdated.addListener(handleTabUpdated);
+  chrome.tabs.onRemoved.addListener(handleTabRemoved);
+
+  // Count blocked requests
+  chrome.alarms.onAlarm.addListener(handleAlarm);
+  // Only fires for unpacked extensions
+  chrome.declarativeNetRequest.onRuleMatchedDebug?.addListener(handleRuleMatchedDebug);
+
+  // Creating the alarm again would restart its period on every wake-up
+  chrome.alarms.get(MATCHED_RULES_ALARM).then(alarm => {
+    if (!alarm) {
+      chrome.alarms.create(MATCHED_RULES_ALARM, { periodInMinutes: MATCHED_RULES_INTERVAL_MINUTES });
+    }
+  });
 }
 
 /**
@@ -54,19 +378,61 @@ async function init() {
  * @param {Object} details
  */
 async function handleInstall(details) {
+  await statsReady;
+
   if (details.reason === 'install') {
     console.log('[OneClick Cookies] Extension installed');
     
     // Set default configuration
-    await chrome.storage.sync.set(DEFAULT_CONFIG);
+    const { siteRules, ...syncDefaults } = DEFAULT_CONFIG;
+    await chrome.storage.sync.set(syncDefaults);
+    await saveSiteRules(siteRules);
     
     // Initialize statistics
     await resetStats();
+    await syncBlockingRules();
     
     // Open welcome page (optional)
     // chrome.tabs.create({ url: 'popup/popup.html' });
   } else if (details.reason === 'update') {
     console.log('[OneClick Cookies] Extension updated');
+    await migrateSiteRules();
+    await syncBlockingRules();
+  }
+}
+
+/**
+ * Keep the blocking rules in sync with the mode and site rules
+ * @param {Object} changes
+ * @param {string} areaName
+ */
+function handleStorageChanged(changes, areaName) {
+  if ((areaName === 'sync' && changes.mode) || (areaName === 'local' && changes.siteRules)) {
+    syncBlockingRules();
+  }
+}
+
+/**
+ * Move site rules from older versions into storage.local
+ * Covers the whitelist/blacklist arrays and site rules kept in storage.sync.
+ * Rules already in storage.local take precedence.
+ */
+async function migrateSiteRules() {
+  try {
+    const legacy = await chrome.storage.sync.get(['whitelist', 'blacklist', 'siteRules']);
+    if (!Array.isArray(legacy.whitelist) && !Array.isArray(legacy.blacklist) && !legacy.siteRules) return;
+
+    await loadPublicSuffixes();
+    const siteRules = {
+      ...siteRulesFromLegacyLists(legacy.siteRules, legacy.whitelist, legacy.blacklist),
+      ...normalizeSiteRules(await getSiteRules())
+    };
+    await saveSiteRules(siteRules);
+    await chrome.storage.sync.remove(['whitelist', 'blacklist', 'siteRules']);
+
+    console.log(`[OneClick Cookies] Migrated ${Object.keys(siteRules).length} site rules`);
+  } catch (error) {
+    console.error('[OneClick Cookies] Error migrating site lists:', error);
   }
 }
 
@@ -79,6 +445,8 @@ async function handleInstall(details) {
 function handleMessage(message, sender, sendResponse) {
   (async () => {
     try {
+      await statsReady;
+
       switch (message.action) {
         case 'bannerDetected':
           await handleBannerDetected(message);
@@ -95,6 +463,15 @@ function handleMessage(message, sender, sendResponse) {
           sendResponse({ success: true, stats: currentStats });
           break;
 
+        case 'getTimeSeries':
+          sendResponse({ success: true, series: getTimeSeries(message.days) });
+          break;
+
+        case 'getBlockedRequests':
+          const blocked = await getBlockedRequests(message.tabId);
+          sendResponse({ success: true, blocked: blocked });
+          break;
+
         case 'resetStats':
           await resetStats();
           const newStats = await getStats();
@@ -107,31 +484,88 @@ function handleMessage(message, sender, sendResponse) {
           sendResponse({ success: true });
           break;
 
+        case 'getSiteScopes':
+          const scopes = await getSiteScopes(message.domain);
+          sendResponse({ success: true, scopes: scopes });
+          break;
+
+        case 'importSiteRules':
+          const siteRulesResult = await importSiteRules(message.rules);
+          await notifyConfigUpdate();
+          sendResponse({ success: true, ...siteRulesResult });
+          break;
+
+        case 'getCustomCMPs':
+          sendResponse({ success: true, cmps: await getCustomCMPs() });
+          break;
+
+        case 'saveCustomCMPs':
+          await saveCustomCMPs(message.cmps);
+          sendResponse({ success: true });
+          break;
+
+        case 'saveCustomCMP':
+          await saveCustomCMP(message.cmp);
+          sendResponse({ success: true });
+          break;
+
+        case 'getDiagnostics':
+          sendResponse({ success: true, diagnostics: await getDiagnostics() });
+          break;
+
+        case 'getConsentHistory':
+          const history = await getConsentHistory(message.domain, message.limit);
+          sendResponse({ success: true, entries: history });
+          break;
+
+        case 'exportConsentHistory':
+          const historyExport = await exportConsentHistory(message.format);
+          sendResponse({ success: true, ...historyExport });
+          break;
+
+        case 'clearConsentHistory':
+          await consentHistory.clear();
+          sendResponse({ success: true });
+          break;
+
+        case 'getConsentRecord':
+          const consentRecord = await getConsentRecord(message.domain);
+          sendResponse({ success: true, record: consentRecord });
+          break;
+
         case 'getConfig':
           const config = await getConfig();
           sendResponse({ success: true, config: config });
           break;
 
-        case 'addToWhitelist':
-          await addToList('whitelist', message.domain);
+        case 'setSiteRule':
+          await setSiteRule(message.domain, message.rule, message.scope);
           await notifyConfigUpdate();
           sendResponse({ success: true });
           break;
 
-        case 'addToBlacklist':
-          await addToList('blacklist', message.domain);
+        case 'removeSiteRule':
+          await removeSiteRule(message.domain);
           await notifyConfigUpdate();
           sendResponse({ success: true });
           break;
 
-        case 'removeFromWhitelist':
-          await removeFromList('whitelist', message.domain);
+        // Legacy list actions, kept as shorthands for site rules
+        case 'addToWhitelist':
+          await setSiteRule(message.domain, { mode: 'accept' }, message.scope);
+          await notifyConfigUpdate();
+          sendResponse({ success: true });
+          break;
+
+        case 'addToBlacklist':
+          await setSiteRule(message.domain, { mode: 'ignore' }, message.scope);
           await notifyConfigUpdate();
           sendResponse({ success: true });
           break;
 
+        case 'removeFromWhitelist':
         case 'removeFromBlacklist':
-          await removeFromList('blacklist', message.domain);
+          await removeSiteRule(message.domain);
           await notifyConfigUpdate();
           sendResponse({ success: true });
           break;
@@ -143,6 +577,8 @@ function handleMessage(message, sender, sendResponse) {
             version: '1.0.0',
             exportDate: new Date().toISOString(),
             config: exportConfig,
+            networkRules: (await getNetworkRules()).map(({ id, ...rule }) => rule),
+            customCMPs: await getCustomCMPs(),
             stats: {
               bannersDetected: exportStats.bannersDetected,
               bannersHandled: exportStats.bannersHandled,
@@ -152,6 +588,21 @@ function handleMessage(message, sender, sendResponse) {
           sendResponse({ success: true, data: exportData });
           break;
 
+        case 'getNetworkRules':
+          const networkRules = await getNetworkRules();
+          sendResponse({ success: true, rules: networkRules });
+          break;
+
+        case 'saveNetworkRule':
+          const savedRule = await saveNetworkRule(message.rule);
+          sendResponse({ success: true, rule: savedRule });
+          break;
+
+        case 'removeNetworkRule':
+          await removeNetworkRule(message.id);
+          sendResponse({ success: true });
+          break;
+
         case 'importSettings':
           try {
             await importSettings(message.data);
@@ -181,6 +632,7 @@ function handleMessage(message, sender, sendResponse) {
 async function handleBannerDetected(message) {
   stats.bannersDetected++;
   stats.sitesVisited.add(message.domain);
+  recordDailyStat('detected', message.detection?.type, message.detection?.cmpName);
   await saveStats();
   
   console.log(`[OneClick Cookies] Banner detected on ${message.domain}`, message.detection);
@@ -191,10 +643,254 @@ async function handleBannerDetected(message) {
  * @param {Object} message
  */
 async function handleBannerHandled(message) {
-  stats.bannersHandled++;
+  const succeeded = message.success !== false;
+
+  if (succeeded) {
+    stats.bannersHandled++;
+  } else {
+    stats.bannersFailed = (stats.bannersFailed || 0) + 1;
+  }
+  recordDailyStat(
+    succeeded ? 'handled' : 'failed',
+    message.detectionType,
+    message.cmpName,
+    // Strategy names like 'selector #accept' are grouped by kind
+    succeeded ? (message.strategy || 'unknown').split(' ')[0] : 'failed'
+  );
+
+  // Count which deny fallback path was taken
+  if (DENY_FALLBACKS.includes(message.denyFallback)) {
+    stats.denyFallbacks = stats.denyFallbacks || {};
+    stats.denyFallbacks[message.denyFallback] = (stats.denyFallbacks[message.denyFallback] || 0) + 1;
+  }
   await saveStats();
+
+  if (succeeded && message.tcf?.after) {
+    await saveConsentRecord(message.domain, message.handledAction, message.tcf.after);
+  }
+  await addHistoryEntry(message, succeeded);
   
-  console.log(`[OneClick Cookies] Banner ${message.handledAction} on ${message.domain}`);
+  if (succeeded) {
+    console.log(`[OneClick Cookies] Banner ${message.handledAction} on ${message.domain} via ${message.strategy}`);
+  } else {
+    console.log(`[OneClick Cookies] Banner ${message.handledAction} failed on ${message.domain}: ${message.reason}`);
+  }
+}
+
+/**
+ * Count an event in today's statistics bucket
+ * Buckets hold totals plus the same counters split by detection type and CMP,
+ * and handled banners split by outcome (strategy kind or 'failed').
+ * @param {string} kind - 'detected', 'handled' or 'failed'
+ * @param {string|null} type - Detection type, e.g. 'knownCMP' or 'keyword'
+ * @param {string|null} cmpName
+ * @param {string|null} outcome - For 'handled'/'failed'
+ */
+function recordDailyStat(kind, type, cmpName, outcome = null) {
+  stats.daily = stats.daily || {};
+  const day = getDayKey();
+  const bucket = stats.daily[day] || (stats.daily[day] = {
+    detected: 0,
+    handled: 0,
+    failed: 0,
+    byType: {},
+    byCMP: {},
+    byOutcome: {}
+  });
+
+  const increment = (group, key) => {
+    if (!key) return;
+    const counters = group[key] || (group[key] = { detected: 0, handled: 0, failed: 0 });
+    counters[kind]++;
+  };
+
+  bucket[kind]++;
+  increment(bucket.byType, type);
+  increment(bucket.byCMP, cmpName);
+  if (outcome) {
+    bucket.byOutcome[outcome] = (bucket.byOutcome[outcome] || 0) + 1;
+  }
+
+  // Drop buckets beyond the retention window
+  const days = Object.keys(stats.daily).sort();
+  days.slice(0, Math.max(0, days.length - DAILY_STATS_DAYS)).forEach(d => delete stats.daily[d]);
+}
+
+/**
+ * @param {number} timestamp
+ * @returns {string} Local date as 'YYYY-MM-DD'
+ */
+function getDayKey(timestamp = Date.now()) {
+  const date = new Date(timestamp);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Daily totals and breakdowns for the last days
+ * @param {number} dayCount
+ * @returns {Object} `{ days: [{ date, detected, handled, failed }], byType, byCMP, byOutcome }`
+ */
+function getTimeSeries(dayCount = 14) {
+  const days = [];
+  const byType = {};
+  const byCMP = {};
+  const byOutcome = {};
+
+  const sum = (target, source) => {
+    for (const [key, counters] of Object.entries(source || {})) {
+      const total = target[key] || (target[key] = { detected: 0, handled: 0, failed: 0 });
+      total.detected += counters.detected;
+      total.handled += counters.handled;
+      total.failed += counters.failed;
+    }
+  };
+
+  for (let i = dayCount - 1; i >= 0; i--) {
+    // Step back in calendar days; around DST changes a day is 23 or 25 hours long
+    const day = new Date();
+    day.setDate(day.getDate() - i);
+    const date = getDayKey(day.getTime());
+    const bucket = stats.daily?.[date];
+
+    days.push({
+      date: date,
+      detected: bucket?.detected || 0,
+      handled: bucket?.handled || 0,
+      failed: bucket?.failed || 0
+    });
+    if (!bucket) continue;
+
+    sum(byType, bucket.byType);
+    sum(byCMP, bucket.byCMP);
+    for (const [outcome, count] of Object.entries(bucket.byOutcome)) {
+      byOutcome[outcome] = (byOutcome[outcome] || 0) + count;
+    }
+  }
+
+  return { days: days, byType: byType, byCMP: byCMP, byOutcome: byOutcome };
+}
+
+/**
+ * Record a handled banner in the consent history
+ * @param {Object} message - bannerHandled message from the content script
+ * @param {boolean} succeeded
+ */
+async function addHistoryEntry(message, succeeded) {
+  const domain = normalizeDomain(message.domain);
+  if (!domain) return;
+
+  try {
+    await loadPublicSuffixes();
+    await consentHistory.add({
+      domain: domain,
+      site: getRegistrableDomain(domain) || domain,
+      timestamp: message.timestamp || Date.now(),
+      action: message.handledAction,
+      success: succeeded,
+      strategy: message.strategy || null,
+      reason: message.reason || null,
+      denyFallback: message.denyFallback || null,
+      cmpName: message.cmpName || null,
+      detectionType: message.detectionType || null,
+      buttonText: message.button?.text || null,
+      buttonSelector: message.button?.selector || null,
+      tcfPurposes: message.tcf?.after?.purposes?.consents || null,
+      tcfVendorCount: message.tcf?.after ? message.tcf.after.vendors.consents.length : null
+    });
+
+    if (Date.now() - lastHistoryPrune > HISTORY_PRUNE_INTERVAL) {
+      lastHistoryPrune = Date.now();
+      const config = await getConfig();
+      await consentHistory.prune(config.historyRetentionDays);
+    }
+  } catch (error) {
+    console.error('[OneClick Cookies] Error saving consent history:', error);
+  }
+}
+
+/**
+ * Consent history of the site a domain belongs to, or of all sites
+ * @param {string|null} domain
+ * @param {number} limit
+ * @returns {Promise<Array<Object>>} Entries, newest first
+ */
+async function getConsentHistory(domain, limit = 50) {
+  if (!domain) {
+    return (await consentHistory.getAll()).slice(0, limit);
+  }
+
+  const normalizedDomain = normalizeDomain(domain);
+  if (!normalizedDomain) return [];
+
+  await loadPublicSuffixes();
+  return consentHistory.queryBySite(getRegistrableDomain(normalizedDomain) || normalizedDomain, limit);
+}
+
+/**
+ * Export the whole consent history
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Promise<Object>} `{ content, mimeType }`
+ */
+async function exportConsentHistory(format) {
+  const entries = await consentHistory.getAll();
+
+  if (format === 'csv') {
+    return { content: ConsentHistory.toCSV(entries), mimeType: 'text/csv' };
+  }
+  return { content: JSON.stringify(entries, null, 2), mimeType: 'application/json' };
+}
+
+/**
+ * Store the TCF consent that ended up recorded on a site
+ * @param {string} domain
+ * @param {string} handledAction - 'accept', 'deny' or 'custom'
+ * @param {Object} consent - Decoded TCF consent from the content script
+ */
+async function saveConsentRecord(domain, handledAction, consent) {
+  const normalizedDomain = normalizeDomain(domain);
+  if (!normalizedDomain) return;
+
+  try {
+    const result = await chrome.storage.local.get({ consentRecords: {} });
+    const records = result.consentRecords;
+
+    records[normalizedDomain] = {
+      handledAction: handledAction,
+      timestamp: Date.now(),
+      cmpId: consent.cmpId,
+      gdprApplies: consent.gdprApplies,
+      purposes: consent.purposes,
+      vendors: consent.vendors,
+      specialFeatureOptIns: consent.specialFeatureOptIns
+    };
+
+    // Drop the oldest records beyond the limit
+    const domains = Object.keys(records);
+    if (domains.length > MAX_CONSENT_RECORDS) {
+      domains
+        .sort((a, b) => records[a].timestamp - records[b].timestamp)
+        .slice(0, domains.length - MAX_CONSENT_RECORDS)
+        .forEach(d => delete records[d]);
+    }
+
+    await chrome.storage.local.set({ consentRecords: records });
+  } catch (error) {
+    console.error('[OneClick Cookies] Error saving consent record:', error);
+  }
+}
+
+/**
+ * Get the stored TCF consent record for a site
+ * @param {string} domain
+ * @returns {Promise<Object|null>}
+ */
+async function getConsentRecord(domain) {
+  const normalizedDomain = normalizeDomain(domain);
+  if (!normalizedDomain) return null;
+
+  const result = await chrome.storage.local.get({ consentRecords: {} });
+  return result.consentRecords[normalizedDomain] || null;
 }
 
 /**
@@ -202,6 +898,8 @@ async function handleBannerHandled(message) {
  * @param {Object} activeInfo
  */
 async function handleTabActivated(activeInfo) {
+  await statsReady;
+
   try {
     const tab = await chrome.tabs.get(activeInfo.tabId);
     if (tab.url) {
@@ -223,6 +921,13 @@ async function handleTabActivated(activeInfo) {
  * @param {Object} tab
  */
 async function handleTabUpdated(tabId, changeInfo, tab) {
+  await statsReady;
+
+  // A new page starts a new blocked-request count
+  if (changeInfo.status === 'loading' && changeInfo.url) {
+    await resetTabBlockedRequests(tabId);
+  }
+
   if (changeInfo.status === 'complete' && tab.url) {
     try {
       const url = new URL(tab.url);
@@ -236,70 +941,251 @@ async function handleTabUpdated(tabId, changeInfo, tab) {
   }
 }
 
+/**
+ * Handle tab close
+ * @param {number} tabId
+ */
+async function handleTabRemoved(tabId) {
+  await updateBlockedState((state) => {
+    delete state.tabs[tabId];
+  });
+}
+
+/**
+ * Handle alarms
+ * @param {Object} alarm
+ */
+async function handleAlarm(alarm) {
+  await statsReady;
+
+  if (alarm.name === MATCHED_RULES_ALARM) {
+    await collectBlockedRequests();
+  }
+}
+
 /**
  * Get current configuration
+ * Site rules are stored in storage.local, which has no per-item limit; storage.sync
+ * allows 8 KB per item, which a few hundred rules exceed. The rest syncs.
  * @returns {Promise<Object>}
  */
 async function getConfig() {
-  const result = await chrome.storage.sync.get(DEFAULT_CONFIG);
-  return result;
+  const { siteRules, ...syncDefaults } = DEFAULT_CONFIG;
+  const result = await chrome.storage.sync.get(syncDefaults);
+  return { ...result, siteRules: await getSiteRules() };
+}
+
+/**
+ * @returns {Promise<Object>} Site rules keyed by pattern
+ */
+async function getSiteRules() {
+  const result = await chrome.storage.local.get({ siteRules: DEFAULT_CONFIG.siteRules });
+  return result.siteRules;
+}
+
+/**
+ * @param {Object} siteRules - Site rules keyed by pattern, already normalized
+ */
+async function saveSiteRules(siteRules) {
+  await chrome.storage.local.set({ siteRules: siteRules });
 }
 
 /**
  * Update configuration
- * @param {Object} config
+ * Only the given keys change, and the consent profile only in the given purposes,
+ * so a popup and an options page open side by side do not undo each other's edits.
+ * Throws, writing nothing, when a key is unknown or a value invalid.
+ * @param {Object} config - Changed keys
  */
 async function updateConfig(config) {
+  const changes = {};
+  for (const [key, value] of Object.entries(config || {})) {
+    const normalized = normalizeConfigValue(key, value);
+    if (normalized === undefined) {
+      throw new Error(`Invalid config value for ${key}: ${JSON.stringify(value)}`);
+    }
+    changes[key] = normalized;
+  }
+
+  await loadPublicSuffixes();
   const current = await getConfig();
-  const nextConfig = {
+  const { siteRules, ...nextConfig } = {
     ...current,
-    ...config,
-    whitelist: dedupeDomains(config?.whitelist ?? current.whitelist),
-    blacklist: dedupeDomains(config?.blacklist ?? current.blacklist)
+    ...changes,
+    consentProfile: { ...current.consentProfile, ...changes.consentProfile }
   };
 
   await chrome.storage.sync.set(nextConfig);
+  if (changes.siteRules) {
+    await saveSiteRules(normalizeSiteRules(siteRules));
+  }
   console.log('[OneClick Cookies] Config updated:', nextConfig);
 }
 
 /**
- * Add domain to whitelist or blacklist
- * @param {string} listName - 'whitelist' or 'blacklist'
- * @param {string} domain
+ * Create or update the rule for a site
+ * Fields not given in `rule` (e.g. notes) are kept from the existing rule
+ * @param {string} domain - Host or pattern
+ * @param {Object} rule - `{ mode, notes, profile }`
+ * @param {string} scope - Optional 'exact', 'subdomains' or 'site' to re-scope a host
+ */
+async function setSiteRule(domain, rule, scope = null) {
+  await loadPublicSuffixes();
+  const normalizedDomain = normalizeDomain(domain, scope);
+  if (!normalizedDomain) {
+    throw new Error(`Invalid site pattern: ${domain}`);
+  }
+
+  const siteRules = normalizeSiteRules(await getSiteRules());
+  const nextRule = normalizeSiteRule({ ...siteRules[normalizedDomain], ...rule });
+  if (!nextRule) {
+    throw new Error(`Invalid site rule mode: ${rule?.mode}`);
+  }
+
+  siteRules[normalizedDomain] = nextRule;
+  await saveSiteRules(siteRules);
+}
+
+/**
+ * Remove the rule for a site
+ * @param {string} domain - Pattern as stored in siteRules
  */
-async function addToList(listName, domain) {
+async function removeSiteRule(domain) {
+  await loadPublicSuffixes();
   const normalizedDomain = normalizeDomain(domain);
   if (!normalizedDomain) return;
 
-  const config = await getConfig();
-  const list = Array.isArray(config[listName]) ? [...config[listName]] : [];
-  const oppositeListName = listName === 'whitelist' ? 'blacklist' : 'whitelist';
-  const oppositeList = Array.isArray(config[oppositeListName]) ? [...config[oppositeListName]] : [];
-
-  if (!list.includes(normalizedDomain)) {
-    list.push(normalizedDomain);
-    const next = {
-      [listName]: dedupeDomains(list),
-      [oppositeListName]: dedupeDomains(oppositeList.filter(d => d !== normalizedDomain))
-    };
-    await chrome.storage.sync.set(next);
+  const siteRules = normalizeSiteRules(await getSiteRules());
+  if (!(normalizedDomain in siteRules)) return;
+
+  delete siteRules[normalizedDomain];
+  await saveSiteRules(siteRules);
+}
+
+/**
+ * Add or replace many site rules in one storage write
+ * @param {Object} rules - `{ [pattern]: { mode, notes } }`
+ * @returns {Promise<Object>} `{ saved, invalid }` lists of patterns
+ */
+async function importSiteRules(rules) {
+  await loadPublicSuffixes();
+  const siteRules = normalizeSiteRules(await getSiteRules());
+  const saved = [];
+  const invalid = [];
+
+  for (const [pattern, rule] of Object.entries(rules || {})) {
+    const normalizedPattern = normalizeDomain(pattern);
+    const normalizedRule = normalizeSiteRule(rule);
+    if (normalizedPattern && normalizedRule) {
+      siteRules[normalizedPattern] = normalizedRule;
+      saved.push(normalizedPattern);
+    } else {
+      invalid.push(pattern);
+    }
+  }
+
+  if (saved.length > 0) {
+    await saveSiteRules(siteRules);
   }
+  return { saved: saved, invalid: invalid };
 }
 
 /**
- * Remove domain from whitelist or blacklist
- * @param {string} listName - 'whitelist' or 'blacklist'
- * @param {string} domain
+ * Get the user-defined CMP rules
+ * @returns {Promise<Array<Object>>} knownCMPs-style entries
  */
-async function removeFromList(listName, domain) {
-  const normalizedDomain = normalizeDomain(domain);
-  const config = await getConfig();
-  const list = Array.isArray(config[listName]) ? [...config[listName]] : [];
+async function getCustomCMPs() {
+  const result = await chrome.storage.local.get({ customCMPs: [] });
+  return result.customCMPs;
+}
 
-  if (!normalizedDomain || list.length === 0) return;
+/**
+ * Validate and replace the user-defined CMP rules
+ * @param {Array<Object>} cmps
+ */
+async function saveCustomCMPs(cmps) {
+  if (!Array.isArray(cmps)) {
+    throw new Error('Custom CMP rules must be a list');
+  }
+  await loadPublicSuffixes();
+  await chrome.storage.local.set({ customCMPs: cmps.map(validateCustomCMP) });
+}
 
-  const filtered = list.filter(d => d !== normalizedDomain);
-  await chrome.storage.sync.set({ [listName]: filtered });
+/**
+ * Add a user-defined CMP rule, replacing the one with the same name
+ * Newest first, so it is checked before older rules for the same site.
+ * @param {Object} cmp
+ */
+async function saveCustomCMP(cmp) {
+  await loadPublicSuffixes();
+  const validated = validateCustomCMP(cmp);
+  const cmps = (await getCustomCMPs()).filter(existing => existing.name !== validated.name);
+  await chrome.storage.local.set({ customCMPs: [validated, ...cmps] });
+}
+
+/**
+ * Check a user-defined CMP rule
+ * It has the shape of a `knownCMPs` entry in consent-patterns.json, plus
+ * optional `sites` patterns that limit it to some sites.
+ * @param {Object} cmp
+ * @returns {Object} Rule with normalized site patterns
+ */
+function validateCustomCMP(cmp) {
+  if (!cmp || typeof cmp !== 'object' || typeof cmp.name !== 'string' || !cmp.name.trim()) {
+    throw new Error('Each custom CMP rule needs a name');
+  }
+
+  const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+  const selectors = cmp.selectors || {};
+  if (!isStringList(selectors.banner) || selectors.banner.length === 0) {
+    throw new Error(`${cmp.name}: selectors.banner must list at least one selector`);
+  }
+  for (const key of ['acceptButton', 'rejectButton']) {
+    if (selectors[key] !== undefined && !isStringList(selectors[key])) {
+      throw new Error(`${cmp.name}: selectors.${key} must be a list of selectors`);
+    }
+  }
+  if (cmp.hide !== undefined && !isStringList(cmp.hide)) {
+    throw new Error(`${cmp.name}: hide must be a list of selectors`);
+  }
+
+  const validated = { ...cmp, name: cmp.name.trim() };
+  if (cmp.sites !== undefined) {
+    if (!isStringList(cmp.sites)) {
+      throw new Error(`${cmp.name}: sites must be a list of site patterns`);
+    }
+    validated.sites = cmp.sites.map(site => {
+      const pattern = normalizeDomain(site);
+      if (!pattern) throw new Error(`${cmp.name}: invalid site pattern ${site}`);
+      return pattern;
+    });
+  }
+  return validated;
+}
+
+/**
+ * Collect state for the options page's diagnostics section
+ * @returns {Promise<Object>}
+ */
+async function getDiagnostics() {
+  const config = await getConfig();
+  const enabledRulesets = await chrome.declarativeNetRequest.getEnabledRulesets();
+  const dynamicRules = await chrome.declarativeNetRequest.getDynamicRules();
+  return {
+    version: chrome.runtime.getManifest().version,
+    mode: config.mode,
+    debugMode: config.debugMode,
+    enabledRulesets: enabledRulesets,
+    customNetworkRules: dynamicRules.filter(isCustomRuleId).length,
+    siteAllowRules: dynamicRules.filter(rule => rule.id >= SITE_RULE_ID_START && rule.action.type === 'allow').length,
+    siteBlockRules: dynamicRules.filter(rule => rule.id >= SITE_RULE_ID_START && rule.action.type === 'block').length,
+    siteRules: Object.keys(config.siteRules || {}).length,
+    customCMPs: (await getCustomCMPs()).length,
+    historyEntries: await consentHistory.count(),
+    syncBytesInUse: await chrome.storage.sync.getBytesInUse(null),
+    localBytesInUse: await chrome.storage.local.getBytesInUse(null),
+    stats: await getStats()
+  };
 }
 
 /**
@@ -362,6 +1248,10 @@ async function getStats() {
   return {
     bannersDetected: stats.bannersDetected,
     bannersHandled: stats.bannersHandled,
+    bannersFailed: stats.bannersFailed || 0,
+    denyFallbacks: { ...stats.denyFallbacks },
+    requestsBlocked: stats.requestsBlocked || 0,
+    blockedByRule: { ...stats.blockedByRule },
     sitesVisited: stats.sitesVisited.size,
     lastReset: stats.lastReset
   };
@@ -374,6 +1264,11 @@ async function resetStats() {
   stats = {
     bannersDetected: 0,
     bannersHandled: 0,
+    bannersFailed: 0,
+    denyFallbacks: {},
+    requestsBlocked: 0,
+    blockedByRule: {},
+    daily: {},
     sitesVisited: new Set(),
     lastReset: Date.now()
   };
@@ -394,15 +1289,45 @@ async function importSettings(importData) {
     throw new Error('Invalid config structure');
   }
 
+  await loadPublicSuffixes();
+
+  // Validate network rules up front so a bad rule rejects the whole import
+  const networkRules = [];
+  if (Array.isArray(importData.networkRules)) {
+    for (const rule of importData.networkRules) {
+      networkRules.push(await validateNetworkRule(rule));
+    }
+  }
+  const customCMPs = Array.isArray(importData.customCMPs)
+    ? importData.customCMPs.map(validateCustomCMP)
+    : null;
+
   // Import configuration
-  const configToImport = {
-    mode: importData.config.mode || DEFAULT_CONFIG.mode,
-    debugMode: importData.config.debugMode || DEFAULT_CONFIG.debugMode,
-    whitelist: Array.isArray(importData.config.whitelist) ? importData.config.whitelist : [],
-    blacklist: Array.isArray(importData.config.blacklist) ? importData.config.blacklist : []
+  // Invalid values fall back to the defaults
+  const imported = (key) => normalizeConfigValue(key, importData.config[key]) ?? DEFAULT_CONFIG[key];
+  const { siteRules, ...configToImport } = {
+    mode: imported('mode'),
+    debugMode: imported('debugMode'),
+    denyFallback: imported('denyFallback'),
+    consentProfile: { ...DEFAULT_CONFIG.consentProfile, ...imported('consentProfile') },
+    historyRetentionDays: imported('historyRetentionDays'),
+    // Older exports carry whitelist/blacklist arrays instead of site rules
+    siteRules: siteRulesFromLegacyLists(
+      importData.config.siteRules,
+      importData.config.whitelist,
+      importData.config.blacklist
+    )
   };
 
   await chrome.storage.sync.set(configToImport);
+  await saveSiteRules(siteRules);
+
+  if (Array.isArray(importData.networkRules)) {
+    await replaceNetworkRules(networkRules);
+  }
+  if (customCMPs) {
+    await chrome.storage.local.set({ customCMPs: customCMPs });
+  }
 
   // Optionally import statistics if provided
   if (importData.stats) {
@@ -427,5 +1352,483 @@ function getExportJSON(exportData) {
   return JSON.stringify(exportData, null, 2);
 }
 
+/**
+ * Enable the CMP script ruleset in blocking modes and add allow exceptions
+ * for sites whose rule needs the CMP. In the other modes, block CMP scripts
+ * only on sites whose rule blocks them.
+ */
+async function syncBlockingRules() {
+  try {
+    const config = await getConfig();
+    const blocking = BLOCKING_MODES.includes(config.mode);
+
+    await chrome.declarativeNetRequest.updateEnabledRulesets(blocking
+      ? { enableRulesetIds: [BLOCKING_RULESET_ID] }
+      : { disableRulesetIds: [BLOCKING_RULESET_ID] });
+
+    const existing = await chrome.declarativeNetRequest.getDynamicRules();
+    const addRules = blocking
+      ? buildSiteAllowRules(config.siteRules)
+      : await buildSiteBlockRules(config.siteRules);
+
+    await chrome.declarativeNetRequest.updateDynamicRules({
+      removeRuleIds: existing.filter(rule => rule.id >= SITE_RULE_ID_START).map(rule => rule.id),
+      addRules: addRules
+    });
+
+    console.log(blocking
+      ? `[OneClick Cookies] Blocking ruleset enabled, ${addRules.length} site exceptions`
+      : `[OneClick Cookies] Blocking ruleset disabled, ${addRules.length} site block rules`);
+  } catch (error) {
+    console.error('[OneClick Cookies] Error updating blocking rules:', error);
+  }
+}
+
+/**
+ * Build dynamic allow rules for sites whose rule mode does not block CMP scripts
+ * `initiatorDomains` also covers subdomains, so more specific blocking rules
+ * below an allowed domain are excluded from its exception.
+ * @param {Object} siteRules - Site rules keyed by pattern
+ * @returns {Array<Object>} Dynamic rules
+ */
+function buildSiteAllowRules(siteRules) {
+  const { allowed, blocked } = groupSiteDomains(siteRules);
+
+  let nextId = SITE_RULE_ID_START;
+  return Array.from(allowed).map(domain => {
+    const excluded = Array.from(blocked).filter(d => d.endsWith(`.${domain}`));
+    return {
+      id: nextId++,
+      priority: SITE_RULE_PRIORITY,
+      action: { type: 'allow' },
+      condition: {
+        initiatorDomains: [domain],
+        ...(excluded.length > 0 ? { excludedInitiatorDomains: excluded } : {}),
+        resourceTypes: ['script']
+      }
+    };
+  });
+}
+
+/**
+ * Build dynamic copies of the static ruleset that apply only on sites whose
+ * rule mode blocks CMP scripts, for use while the ruleset is disabled
+ * More specific allowed domains below a blocked domain are excluded.
+ * @param {Object} siteRules - Site rules keyed by pattern
+ * @returns {Promise<Array<Object>>} Dynamic rules
+ */
+async function buildSiteBlockRules(siteRules) {
+  const { allowed, blocked } = groupSiteDomains(siteRules);
+  if (blocked.size === 0) return [];
+
+  const response = await fetch(chrome.runtime.getURL('rules/blocking-rules.json'));
+  const staticRules = await response.json();
+  const blockedDomains = Array.from(blocked);
+  const excluded = Array.from(allowed).filter(domain => blockedDomains.some(d => domain.endsWith(`.${d}`)));
+
+  let nextId = SITE_RULE_ID_START;
+  return staticRules.map(rule => ({
+    id: nextId++,
+    priority: SITE_RULE_PRIORITY,
+    action: rule.action,
+    condition: {
+      ...rule.condition,
+      initiatorDomains: blockedDomains,
+      ...(excluded.length > 0 ? { excludedInitiatorDomains: excluded } : {})
+    }
+  }));
+}
+
+/**
+ * Split site rule domains by whether their mode blocks CMP scripts
+ * @param {Object} siteRules - Site rules keyed by pattern
+ * @returns {Object} `{ allowed, blocked }` Sets of domains
+ */
+function groupSiteDomains(siteRules) {
+  const allowed = new Set();
+  const blocked = new Set();
+
+  for (const [pattern, rule] of Object.entries(siteRules || {})) {
+    const domain = pattern.replace(/^(site:|\*\.)/, '');
+    (BLOCKING_SITE_MODES.includes(rule.mode) ? blocked : allowed).add(domain);
+  }
+  return { allowed: allowed, blocked: blocked };
+}
+
+/**
+ * Get the user-defined network rules
+ * @returns {Promise<Array<Object>>} Rules of `{ id, action, urlFilter|regexFilter, resourceTypes, initiatorDomains }`
+ */
+async function getNetworkRules() {
+  const rules = await chrome.declarativeNetRequest.getDynamicRules();
+  return rules.filter(isCustomRuleId).map(fromDynamicRule);
+}
+
+/**
+ * Validate and store a user-defined network rule
+ * A rule with an `id` replaces the existing rule, otherwise a free ID is allocated
+ * @param {Object} rule
+ * @returns {Promise<Object>} Saved rule
+ */
+async function saveNetworkRule(rule) {
+  const validated = await validateNetworkRule(rule);
+  const existing = await chrome.declarativeNetRequest.getDynamicRules();
+
+  if (rule.id !== undefined && rule.id !== null) {
+    if (!existing.some(r => r.id === rule.id && isCustomRuleId(r))) {
+      throw new Error(`Unknown network rule: ${rule.id}`);
+    }
+    validated.id = rule.id;
+  } else {
+    validated.id = allocateNetworkRuleId(existing.map(r => r.id));
+  }
+
+  await chrome.declarativeNetRequest.updateDynamicRules({
+    removeRuleIds: [validated.id],
+    addRules: [toDynamicRule(validated)]
+  });
+
+  console.log(`[OneClick Cookies] Saved network rule ${validated.id}`);
+  return validated;
+}
+
+/**
+ * Remove a user-defined network rule
+ * @param {number} id
+ */
+async function removeNetworkRule(id) {
+  if (!isCustomRuleId({ id: id })) {
+    throw new Error(`Not a user network rule: ${id}`);
+  }
+  await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds: [id] });
+}
+
+/**
+ * Replace all user-defined network rules, e.g. on import
+ * @param {Array<Object>} rules - Validated rules; IDs are reassigned
+ */
+async function replaceNetworkRules(rules) {
+  const existing = await chrome.declarativeNetRequest.getDynamicRules();
+
+  await chrome.declarativeNetRequest.updateDynamicRules({
+    removeRuleIds: existing.filter(isCustomRuleId).map(r => r.id),
+    addRules: rules.map((rule, i) => toDynamicRule({ ...rule, id: CUSTOM_RULE_ID_START + i }))
+  });
+}
+
+/**
+ * Check a user-defined network rule and return it in canonical form
+ * @param {Object} rule
+ * @returns {Promise<Object>} Rule without `id`
+ */
+async function validateNetworkRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('Invalid network rule');
+  }
+  if (!NETWORK_RULE_ACTIONS.includes(rule.action)) {
+    throw new Error(`Invalid rule action: ${rule.action}`);
+  }
+
+  const urlFilter = typeof rule.urlFilter === 'string' ? rule.urlFilter.trim() : '';
+  const regexFilter = typeof rule.regexFilter === 'string' ? rule.regexFilter.trim() : '';
+  if (!urlFilter === !regexFilter) {
+    throw new Error('A rule needs either a URL filter or a regex filter');
+  }
+
+  const validated = { action: rule.action };
+
+  if (urlFilter) {
+    // DNR only accepts ASCII in urlFilter; '||' and '|' anchors must lead or trail
+    if (!/^[\x20-\x7e]+$/.test(urlFilter)) {
+      throw new Error('URL filter must only contain ASCII characters');
+    }
+    if (/.\|\|/.test(urlFilter) || /.\|./.test(urlFilter.replace(/^\|\|/, ''))) {
+      throw new Error('URL filter anchors (| and ||) are only allowed at the start or end');
+    }
+    validated.urlFilter = urlFilter;
+  } else {
+    try {
+      new RegExp(regexFilter);
+    } catch (error) {
+      throw new Error(`Invalid regex filter: ${error.message}`);
+    }
+    const support = await chrome.declarativeNetRequest.isRegexSupported({ regex: regexFilter });
+    if (!support.isSupported) {
+      throw new Error(`Regex filter not supported: ${support.reason}`);
+    }
+    validated.regexFilter = regexFilter;
+  }
+
+  const resourceTypes = Array.isArray(rule.resourceTypes) ? Array.from(new Set(rule.resourceTypes)) : [];
+  if (resourceTypes.length === 0) {
+    throw new Error('Select at least one resource type');
+  }
+  const unknownType = resourceTypes.find(type => !NETWORK_RESOURCE_TYPES.includes(type));
+  if (unknownType) {
+    throw new Error(`Invalid resource type: ${unknownType}`);
+  }
+  validated.resourceTypes = resourceTypes;
+
+  const initiatorDomains = [];
+  for (const domain of Array.isArray(rule.initiatorDomains) ? rule.initiatorDomains : []) {
+    // Initiator domains already cover subdomains, so wildcards are redundant
+    const host = parseHost(String(domain).trim().toLowerCase().replace(/^\*\./, ''));
+    if (!host) {
+      throw new Error(`Invalid initiator domain: ${domain}`);
+    }
+    initiatorDomains.push(host);
+  }
+  validated.initiatorDomains = Array.from(new Set(initiatorDomains));
+
+  return validated;
+}
+
+/**
+ * Find the lowest free ID in the user rule range
+ * @param {Array<number>} usedIds - IDs of all dynamic rules
+ * @returns {number}
+ */
+function allocateNetworkRuleId(usedIds) {
+  const used = new Set(usedIds);
+  for (let id = CUSTOM_RULE_ID_START; id < SITE_RULE_ID_START; id++) {
+    if (!used.has(id)) return id;
+  }
+  throw new Error('No free network rule IDs');
+}
+
+/**
+ * @param {Object} rule - Dynamic rule or anything with an `id`
+ * @returns {boolean}
+ */
+function isCustomRuleId(rule) {
+  return Number.isInteger(rule.id) && rule.id >= CUSTOM_RULE_ID_START && rule.id < SITE_RULE_ID_START;
+}
+
+/**
+ * Convert a user rule to a declarativeNetRequest rule
+ * @param {Object} rule
+ * @returns {Object}
+ */
+function toDynamicRule(rule) {
+  const condition = { resourceTypes: rule.resourceTypes };
+  if (rule.urlFilter) condition.urlFilter = rule.urlFilter;
+  if (rule.regexFilter) condition.regexFilter = rule.regexFilter;
+  if (rule.initiatorDomains.length > 0) condition.initiatorDomains = rule.initiatorDomains;
+
+  return {
+    id: rule.id,
+    priority: CUSTOM_RULE_PRIORITY,
+    action: { type: rule.action },
+    condition: condition
+  };
+}
+
+/**
+ * Convert a declarativeNetRequest rule back to a user rule
+ * @param {Object} dynamicRule
+ * @returns {Object}
+ */
+function fromDynamicRule(dynamicRule) {
+  const { condition } = dynamicRule;
+  return {
+    id: dynamicRule.id,
+    action: dynamicRule.action.type,
+    ...(condition.urlFilter ? { urlFilter: condition.urlFilter } : { regexFilter: condition.regexFilter }),
+    resourceTypes: condition.resourceTypes || [],
+    initiatorDomains: condition.initiatorDomains || []
+  };
+}
+
+/**
+ * Per-tab blocked-request counts, kept in session storage so they survive
+ * service worker restarts
+ * @returns {Promise<Object>} `{ lastCheck, lastMatch, tabs: { [tabId]: { since, rules } } }`, lastCheck is
+ *   when getMatchedRules was last called, lastMatch the timestamp of the newest match counted
+ */
+async function getBlockedState() {
+  const result = await chrome.storage.session.get({ blockedRequests: { lastCheck: 0, lastMatch: 0, tabs: {} } });
+  return { lastMatch: 0, ...result.blockedRequests };
+}
+
+/**
+ * Change the blocked-request state
+ * Changes run one at a time, each reading the state the previous one wrote, so
+ * tab resets, polls and debug-mode matches arriving together do not overwrite each other.
+ * @param {Function} change - Receives the state to modify in place; may be async
+ * @returns {Promise}
+ */
+function updateBlockedState(change) {
+  const update = blockedStateQueue.then(async () => {
+    const state = await getBlockedState();
+    await change(state);
+    await chrome.storage.session.set({ blockedRequests: state });
+  });
+  blockedStateQueue = update.catch(() => {});
+  return update;
+}
+
+/**
+ * Start a fresh count for a tab after navigation
+ * @param {number} tabId
+ */
+async function resetTabBlockedRequests(tabId) {
+  await updateBlockedState((state) => {
+    state.tabs[tabId] = { since: Date.now(), rules: {} };
+  });
+}
+
+/**
+ * Pull new matches from getMatchedRules into the counters
+ * In debug mode onRuleMatchedDebug counts matches as they happen instead,
+ * so only the timestamps move forward.
+ * @param {boolean} force - Skip the minimum gap between calls
+ */
+async function collectBlockedRequests(force = false) {
+  // Queued as a whole, so two polls cannot both query from the same lastMatch
+  await updateBlockedState(async (state) => {
+    const now = Date.now();
+    if (!force && now - state.lastCheck < MATCHED_RULES_MIN_GAP) return;
+
+    try {
+      const config = await getConfig();
+      // The result can hold matches newer than `now`, recorded while the call ran;
+      // the next query starts after the newest match counted so they are not counted twice
+      let lastMatch = now;
+      if (!config.debugMode || !chrome.declarativeNetRequest.onRuleMatchedDebug) {
+        const { rulesMatchedInfo } = await chrome.declarativeNetRequest.getMatchedRules({
+          minTimeStamp: state.lastMatch + 1
+        });
+        await recordBlockedRequests(state, rulesMatchedInfo.map(info => ({
+          ruleId: info.rule.ruleId,
+          rulesetId: info.rule.rulesetId,
+          tabId: info.tabId,
+          timeStamp: info.timeStamp
+        })));
+        lastMatch = rulesMatchedInfo.reduce((newest, info) => Math.max(newest, info.timeStamp), state.lastMatch);
+      }
+
+      state.lastCheck = now;
+      state.lastMatch = Math.max(state.lastMatch, lastMatch);
+    } catch (error) {
+      // Rate limit reached; the next alarm picks the matches up
+      console.error('[OneClick Cookies] Error collecting matched rules:', error);
+    }
+  });
+}
+
+/**
+ * Count a request matched in debug mode
+ * @param {Object} info - onRuleMatchedDebug details
+ */
+async function handleRuleMatchedDebug(info) {
+  await statsReady;
+  const config = await getConfig();
+  if (!config.debugMode) return;
+
+  console.log(`[OneClick Cookies] Rule ${info.rule.rulesetId}:${info.rule.ruleId} matched ${info.request.url}`);
+  const timeStamp = Date.now();
+  await updateBlockedState(state => recordBlockedRequests(state, [{
+    ruleId: info.rule.ruleId,
+    rulesetId: info.rule.rulesetId,
+    tabId: info.request.tabId,
+    timeStamp: timeStamp
+  }]));
+}
+
+/**
+ * Add matched block rules to the totals and per-tab counts
+ * Allow rules (site exceptions, user allow rules) are skipped. Only call it from
+ * an updateBlockedState() change, which writes the state afterwards.
+ * @param {Object} state - Blocked-request state to add the per-tab counts to
+ * @param {Array<Object>} matches - Items of `{ ruleId, rulesetId, tabId, timeStamp }`
+ */
+async function recordBlockedRequests(state, matches) {
+  if (matches.length === 0) return;
+
+  const dynamicRules = await chrome.declarativeNetRequest.getDynamicRules();
+  const dynamicBlockIds = new Set(dynamicRules.filter(r => r.action.type === 'block').map(r => r.id));
+  let counted = 0;
+
+  for (const match of matches) {
+    const isBlock = match.rulesetId === DYNAMIC_RULESET_ID
+      ? dynamicBlockIds.has(match.ruleId)
+      : match.rulesetId === BLOCKING_RULESET_ID;
+    if (!isBlock) continue;
+
+    const key = `${match.rulesetId}:${match.ruleId}`;
+    stats.requestsBlocked = (stats.requestsBlocked || 0) + 1;
+    stats.blockedByRule = stats.blockedByRule || {};
+    stats.blockedByRule[key] = (stats.blockedByRule[key] || 0) + 1;
+    counted++;
+
+    // Requests outside tabs (e.g. service workers) have tabId -1
+    if (match.tabId < 0) continue;
+    const tab = state.tabs[match.tabId] || (state.tabs[match.tabId] = { since: 0, rules: {} });
+    if (match.timeStamp >= tab.since) {
+      tab.rules[key] = (tab.rules[key] || 0) + 1;
+    }
+  }
+
+  if (counted > 0) {
+    await saveStats();
+  }
+}
+
+/**
+ * Blocked requests on a tab's current page, by rule
+ * @param {number} tabId
+ * @returns {Promise<Object>} `{ total, rules: [{ key, rulesetId, ruleId, builtIn, filter, count }] }`
+ */
+async function getBlockedRequests(tabId) {
+  await collectBlockedRequests();
+
+  const state = await getBlockedState();
+  const tabRules = state.tabs[tabId]?.rules || {};
+  const filters = await getBlockingRuleFilters();
+
+  const rules = Object.entries(tabRules)
+    .map(([key, count]) => {
+      const [rulesetId, ruleId] = key.split(':');
+      return {
+        key: key,
+        rulesetId: rulesetId,
+        ruleId: Number(ruleId),
+        // Site block rules are copies of the built-in ones
+        builtIn: rulesetId === BLOCKING_RULESET_ID || Number(ruleId) >= SITE_RULE_ID_START,
+        filter: filters[key] || `Rule ${ruleId}`,
+        count: count
+      };
+    })
+    .sort((a, b) => b.count - a.count);
+
+  return {
+    total: rules.reduce((sum, rule) => sum + rule.count, 0),
+    rules: rules
+  };
+}
+
+/**
+ * URL or regex filters of the static and dynamic block rules, for display
+ * @returns {Promise<Object>} '<rulesetId>:<ruleId>' -> filter
+ */
+async function getBlockingRuleFilters() {
+  const filters = {};
+
+  try {
+    const response = await fetch(chrome.runtime.getURL('rules/blocking-rules.json'));
+    for (const rule of await response.json()) {
+      filters[`${BLOCKING_RULESET_ID}:${rule.id}`] = rule.condition.urlFilter || rule.condition.regexFilter;
+    }
+  } catch (error) {
+    console.error('[OneClick Cookies] Error loading blocking rules:', error);
+  }
+
+  for (const rule of await chrome.declarativeNetRequest.getDynamicRules()) {
+    filters[`${DYNAMIC_RULESET_ID}:${rule.id}`] = rule.condition.urlFilter || rule.condition.regexFilter;
+  }
+
+  return filters;
+}
+
 // Initialize the service worker
 init();
@@ -0,0 +1,365 @@
+/**
+ * Consent Action Runner
+ * Interprets the declarative multi-step CMP scripts from consent-patterns.json
+ */
+
+class ConsentActionRunner {
+  /**
+   * @param {Object} options
+   * @param {Function} options.click - Async function used to click an element, resolves false when the click was refused
+   * @param {Function} options.isVisible - Visibility check for elements
+   * @param {Object} options.purposes - Purpose category vocabulary from consent-patterns.json
+   */
+  constructor(options = {}) {
+    this.click = options.click;
+    this.isVisible = options.isVisible || (element => !!element);
+    this.purposes = options.purposes || {};
+    this.purposeMatchers = new Map(); // category -> TextMatcher, in priority order
+    this.debugMode = false;
+    this.defaultTimeout = 3000; // Per-step timeout in milliseconds
+    this.pollInterval = 100;
+
+    // Whole words only, so "ads" does not match "downloads"; stems go down to
+    // four characters (cs "nutn"), which also match the start of a longer word
+    for (const [category, languages] of Object.entries(this.purposes)) {
+      this.purposeMatchers.set(category, new TextMatcher(Object.values(languages).flat(), { prefixLength: 4 }));
+    }
+  }
+
+  /**
+   * Run a list of steps in order, stopping at the first failing step
+   * @param {Array<Object>} steps - Steps from a CMP `actions.optIn` / `actions.optOut` script
+   * @param {Object} context - Run context, e.g. `{ profile }` for `setPurposes` steps
+   * @returns {Promise<Object>} Result with success flag and failure reason
+   */
+  async run(steps, context = {}) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      return { success: false, reason: 'Empty action script' };
+    }
+
+    for (let i = 0; i < steps.length; i++) {
+      const step = steps[i];
+      let ok = false;
+
+      try {
+        ok = await this.runStep(step, context);
+      } catch (error) {
+        this.log(`Step ${i} (${step.type}) threw: ${error.message}`);
+      }
+
+      if (!ok && !step.optional) {
+        const reason = `Step ${i} (${step.type}) failed`;
+        this.log(reason);
+        return { success: false, failedStep: i, reason: reason };
+      }
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Execute a single step
+   * @param {Object} step
+   * @param {Object} context - Run context
+   * @returns {Promise<boolean>} Whether the step succeeded
+   */
+  async runStep(step, context) {
+    const timeout = typeof step.timeout === 'number' ? step.timeout : this.defaultTimeout;
+
+    switch (step.type) {
+      case 'click': {
+        const element = await this.waitForElement(step.selector, timeout);
+        if (!element) return false;
+        if (!(await this.click(element))) return false;
+        this.log(`Clicked ${this.describeSelector(step.selector)}`);
+        return true;
+      }
+
+      case 'waitFor':
+        return !!(await this.waitForElement(step.selector, timeout));
+
+      case 'uncheckAll':
+        return this.setToggles(step.selector, false);
+
+      case 'checkAll':
+        return this.setToggles(step.selector, true);
+
+      case 'setPurposes':
+        return this.setPurposes(step.selector, context.profile);
+
+      case 'assertGone':
+        return this.waitForGone(step.selector, timeout);
+
+      case 'wait':
+        await this.sleep(step.ms || 0);
+        return true;
+
+      case 'ifExists': {
+        const element = await this.waitForElement(step.selector, step.timeout || 0);
+        const branch = element ? step.then : step.else;
+        if (!branch) return true;
+        const result = await this.run(branch, context);
+        return result.success;
+      }
+
+      default:
+        this.log(`Unknown step type: ${step.type}`);
+        return false;
+    }
+  }
+
+  /**
+   * Set every matching toggle to the given state by clicking it
+   * @param {string|Array<string>} selector - Checkbox or switch selectors
+   * @param {boolean} checked - Desired state
+   * @returns {Promise<boolean>} True when at least one toggle matched and every enabled one ended in the state
+   */
+  async setToggles(selector, checked) {
+    const toggles = this.queryAll(selector);
+    if (toggles.length === 0) return false;
+
+    let changed = 0;
+    let stuck = 0;
+    for (const toggle of toggles) {
+      if (toggle.disabled || toggle.getAttribute('aria-disabled') === 'true') continue;
+      if (this.isChecked(toggle) === checked) continue;
+
+      if (await this.setToggle(toggle, checked)) {
+        changed++;
+      } else {
+        stuck++;
+      }
+    }
+
+    this.log(`${checked ? 'Checked' : 'Unchecked'} ${changed} of ${toggles.length} toggles${stuck > 0 ? `, ${stuck} did not change` : ''}`);
+    return stuck === 0;
+  }
+
+  /**
+   * Bring one toggle into a state and check that it got there
+   * The click comes first, since CMPs keep their state in its handlers; a native
+   * checkbox the click did not change is set directly, with input and change events.
+   * @param {Element} toggle - Checkbox or switch
+   * @param {boolean} checked - Desired state
+   * @returns {Promise<boolean>} Whether the toggle ended in the state
+   */
+  async setToggle(toggle, checked) {
+    if (this.isChecked(toggle) === checked) return true;
+
+    await this.click(toggle);
+    if (await this.waitForChecked(toggle, checked, 500)) return true;
+
+    if (toggle.type === 'checkbox') {
+      toggle.checked = checked;
+      toggle.dispatchEvent(new Event('input', { bubbles: true }));
+      toggle.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+    return this.isChecked(toggle) === checked;
+  }
+
+  /**
+   * Set each matching toggle according to the purpose category of its label
+   * @param {string|Array<string>} selector - Checkbox or switch selectors
+   * @param {Object} profile - Map of purpose category to allowed flag
+   * @returns {Promise<boolean>} True when at least one toggle matched
+   */
+  async setPurposes(selector, profile) {
+    return this.applyProfile(this.queryAll(selector), profile);
+  }
+
+  /**
+   * Set the given toggles according to the purpose category of their labels
+   * @param {Array<Element>} toggles - Checkboxes or switches
+   * @param {Object} profile - Map of purpose category to allowed flag
+   * @returns {Promise<boolean>} True when at least one toggle was given and every classified one ended as the profile wants
+   */
+  async applyProfile(toggles, profile) {
+    if (!profile || toggles.length === 0) return false;
+
+    let stuck = 0;
+    for (const toggle of toggles) {
+      if (toggle.disabled || toggle.getAttribute('aria-disabled') === 'true') continue;
+
+      const category = this.classifyPurpose(this.getToggleLabel(toggle));
+      if (!category || category === 'necessary') {
+        this.log(`Leaving toggle unchanged (category: ${category || 'unknown'})`);
+        continue;
+      }
+
+      const wanted = !!profile[category];
+      if (await this.setToggle(toggle, wanted)) {
+        this.log(`Set ${category} toggle to ${wanted ? 'on' : 'off'}`);
+      } else {
+        this.log(`Could not set ${category} toggle to ${wanted ? 'on' : 'off'}`);
+        stuck++;
+      }
+    }
+
+    return stuck === 0;
+  }
+
+  /**
+   * Map a toggle label to a purpose category using the keyword vocabulary
+   * @param {string} text - Label text
+   * @returns {string|null} Category name
+   */
+  classifyPurpose(text) {
+    if (!text) return null;
+
+    // Categories are listed in priority order in the language packs
+    for (const [category, matcher] of this.purposeMatchers) {
+      if (matcher.test(text)) return category;
+    }
+
+    return null;
+  }
+
+  /**
+   * Collect the text that labels a toggle
+   * @param {Element} toggle
+   * @returns {string}
+   */
+  getToggleLabel(toggle) {
+    const parts = [toggle.getAttribute('aria-label') || ''];
+
+    const labelledBy = toggle.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      for (const id of labelledBy.split(/\s+/)) {
+        const labelElement = document.getElementById(id);
+        if (labelElement) parts.push(labelElement.textContent);
+      }
+    }
+
+    if (toggle.id) {
+      const label = document.querySelector(`label[for="${CSS.escape(toggle.id)}"]`);
+      if (label) parts.push(label.textContent);
+    }
+
+    const wrappingLabel = toggle.closest('label');
+    if (wrappingLabel) parts.push(wrappingLabel.textContent);
+
+    let text = parts.join(' ').trim();
+
+    // Fall back to the text of a nearby container
+    let ancestor = toggle.parentElement;
+    for (let depth = 0; !text && ancestor && depth < 3; depth++) {
+      text = (ancestor.textContent || '').trim().slice(0, 200);
+      ancestor = ancestor.parentElement;
+    }
+
+    return text;
+  }
+
+  /**
+   * Read the state of a checkbox or ARIA switch
+   * @param {Element} toggle
+   * @returns {boolean}
+   */
+  isChecked(toggle) {
+    if (typeof toggle.checked === 'boolean' && toggle.type === 'checkbox') {
+      return toggle.checked;
+    }
+    return toggle.getAttribute('aria-checked') === 'true' ||
+           toggle.getAttribute('aria-pressed') === 'true';
+  }
+
+  /**
+   * Wait until a visible element matches the selector
+   * @param {string|Array<string>} selector
+   * @param {number} timeout - Milliseconds
+   * @returns {Promise<Element|null>}
+   */
+  async waitForElement(selector, timeout) {
+    const deadline = Date.now() + timeout;
+
+    while (true) {
+      const element = this.queryAll(selector).find(el => this.isVisible(el));
+      if (element) return element;
+      if (Date.now() >= deadline) return null;
+      await this.sleep(this.pollInterval);
+    }
+  }
+
+  /**
+   * Wait until a toggle is in a state, for frameworks that re-render after the click
+   * @param {Element} toggle
+   * @param {boolean} checked
+   * @param {number} timeout - Milliseconds
+   * @returns {Promise<boolean>}
+   */
+  async waitForChecked(toggle, checked, timeout) {
+    const deadline = Date.now() + timeout;
+
+    while (true) {
+      if (this.isChecked(toggle) === checked) return true;
+      if (Date.now() >= deadline) return false;
+      await this.sleep(this.pollInterval);
+    }
+  }
+
+  /**
+   * Wait until no visible element matches the selector
+   * @param {string|Array<string>} selector
+   * @param {number} timeout - Milliseconds
+   * @returns {Promise<boolean>}
+   */
+  async waitForGone(selector, timeout) {
+    const deadline = Date.now() + timeout;
+
+    while (true) {
+      if (!this.queryAll(selector).some(el => this.isVisible(el))) return true;
+      if (Date.now() >= deadline) return false;
+      await this.sleep(this.pollInterval);
+    }
+  }
+
+  /**
+   * Query all elements for one selector or a list of selectors
+   * @param {string|Array<string>} selector
+   * @returns {Array<Element>}
+   */
+  queryAll(selector) {
+    const selectors = Array.isArray(selector) ? selector : [selector];
+    const results = [];
+
+    for (const sel of selectors) {
+      try {
+        results.push(...document.querySelectorAll(sel));
+      } catch (error) {
+        this.log(`Invalid selector in action script: ${sel}`);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * @param {string|Array<string>} selector
+   * @returns {string}
+   */
+  describeSelector(selector) {
+    return Array.isArray(selector) ? selector.join(', ') : selector;
+  }
+
+  /**
+   * Sleep utility
+   * @param {number} ms - Milliseconds
+   * @returns {Promise}
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Log debug messages
+   * @param {string} message
+   */
+  log(message) {
+    if (this.debugMode) {
+      console.log(`[OneClick Cookies] ${message}`);
+    }
+  }
+}
+
+// Make available globally
+window.ConsentActionRunner = ConsentActionRunner;
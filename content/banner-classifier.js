@@ -0,0 +1,130 @@
+/**
+ * Banner Classifier
+ * Weighs the evidence that a detected dialog is a consent banner rather than
+ * some other overlay that happens to mention privacy and carry a link, such as
+ * a newsletter popup, login wall, age gate or chat widget. Evidence for: a
+ * known CMP, consent keywords, accept, reject and settings buttons, consent
+ * words in the ids and classes around the banner. Evidence against: password,
+ * email and birth date fields, age-verification and newsletter wording, chat
+ * iframes and chat widget classes. Detections scoring below `rejectBelow` are
+ * dropped; the rest need `autoActionMinimum` before an automatic mode acts.
+ */
+
+class BannerClassifier {
+  /**
+   * @param {Object} options
+   * @param {TextMatcher} options.keywordMatcher - Consent keywords
+   * @param {Function} options.getDialogMatcher - Returns the TextMatcher for 'ageGate' or 'newsletter' wording
+   * @param {ButtonClassifier} options.buttonClassifier
+   */
+  constructor(options = {}) {
+    this.keywordMatcher = options.keywordMatcher;
+    this.getDialogMatcher = options.getDialogMatcher;
+    this.buttonClassifier = options.buttonClassifier;
+    this.rejectBelow = 0;
+    this.autoActionMinimum = 0.5;
+  }
+
+  /**
+   * Weigh the evidence for a detection
+   * @param {Object} detection - Detection result
+   * @returns {Object} `{ score, signals }`, signals are `{ signal, weight }` in the order they were found
+   */
+  assess(detection) {
+    // CMP selectors are specific enough on their own
+    if (detection.type === 'knownCMP') {
+      return { score: 1, signals: [{ signal: `known CMP ${detection.cmpName}`, weight: 1 }] };
+    }
+
+    const banner = detection.banner;
+    const signals = [];
+    const add = (signal, weight) => signals.push({ signal: signal, weight: weight });
+
+    const text = `${banner.innerText || banner.textContent || ''} ${banner.getAttribute('aria-label') || ''}`;
+    const keywords = this.keywordMatcher.findAll(text);
+    if (keywords.length > 0) {
+      add(`consent keywords: ${keywords.join(', ')}`, Math.min(keywords.length * 0.15, 0.45));
+    }
+
+    for (const [type, weight] of Object.entries(BannerClassifier.BUTTON_WEIGHTS)) {
+      const best = this.buttonClassifier.classify(banner, type).best;
+      if (best) {
+        add(`${type} button "${ButtonClassifier.getText(best.element).slice(0, 30)}"`, weight);
+      }
+    }
+
+    const hints = BannerClassifier.getHints(banner);
+    if (BannerClassifier.CONSENT_HINTS.test(hints)) add('consent id/class', 0.15);
+
+    // Evidence against
+    if (banner.querySelector('input[type="password"]')) add('password field', -0.6);
+    if (banner.querySelector(BannerClassifier.EMAIL_FIELDS)) add('email field', -0.4);
+    if (banner.querySelector(BannerClassifier.BIRTH_DATE_FIELDS)) add('birth date field', -0.4);
+
+    const ageGate = this.getDialogMatcher('ageGate').findAll(text);
+    if (ageGate.length > 0) add(`age verification "${ageGate[0]}"`, -0.5);
+    // Weaker, consent-or-pay banners offer a subscription too
+    const newsletter = this.getDialogMatcher('newsletter').findAll(text);
+    if (newsletter.length > 0) add(`newsletter "${newsletter[0]}"`, -0.3);
+
+    const chatFrame = Array.from(banner.querySelectorAll('iframe')).find(iframe =>
+      BannerClassifier.CHAT_HINTS.test(`${iframe.src} ${iframe.title} ${iframe.id} ${iframe.name}`)
+    );
+    if (chatFrame) {
+      add('chat iframe', -0.6);
+    } else if (BannerClassifier.CHAT_HINTS.test(hints)) {
+      add('chat widget id/class', -0.3);
+    }
+
+    const score = signals.reduce((sum, { weight }) => sum + weight, 0);
+    return { score: Math.round(score * 100) / 100, signals: signals };
+  }
+
+  /**
+   * @param {Object} evidence - Result of assess()
+   * @returns {boolean} Whether the detection is not a consent banner at all
+   */
+  rejects(evidence) {
+    return evidence.score < this.rejectBelow;
+  }
+
+  /**
+   * @param {Object} evidence - Result of assess()
+   * @returns {boolean} Whether an automatic mode may act on the detection
+   */
+  allowsAutoAction(evidence) {
+    return evidence.score >= this.autoActionMinimum;
+  }
+
+  /**
+   * Ids and classes of an element and its two closest ancestors
+   * Banners are often an unnamed box inside a named wrapper.
+   * @param {Element} element
+   * @returns {string}
+   */
+  static getHints(element) {
+    const hints = [];
+    for (let current = element, depth = 0; current && depth < 3; current = current.parentElement, depth++) {
+      hints.push(current.id, typeof current.className === 'string' ? current.className : '');
+    }
+    return hints.join(' ');
+  }
+}
+
+// Evidence for each kind of consent answer the banner offers
+BannerClassifier.BUTTON_WEIGHTS = {
+  accept: 0.25,
+  reject: 0.2,
+  settings: 0.1
+};
+
+BannerClassifier.CONSENT_HINTS = /cookie|consent|gdpr|privacy|(?:^|[\s_-])cmp(?:$|[\s_-])/i;
+
+BannerClassifier.CHAT_HINTS = /chat|intercom|drift|zendesk|tawk|crisp|tidio|olark|freshchat|messenger|helpdesk/i;
+
+BannerClassifier.EMAIL_FIELDS = 'input[type="email"], input[autocomplete~="email"], input[name*="email" i]';
+
+BannerClassifier.BIRTH_DATE_FIELDS = 'input[type="date"], input[autocomplete^="bday"], input[name*="birth" i], select[name*="birth" i], select[name*="year" i]';
+
+// Make available globally
+window.BannerClassifier = BannerClassifier;
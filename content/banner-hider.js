@@ -0,0 +1,149 @@
+/**
+ * Banner Hider
+ * Hides consent banners cosmetically through an injected stylesheet,
+ * without interacting with the dialog or recording any consent
+ */
+
+class BannerHider {
+  constructor() {
+    this.styleId = 'oneclick-cookies-hide';
+    this.hiddenAttribute = 'data-oneclick-hidden';
+    this.rules = new Map(); // Rule key -> CSS text
+    this.styleElement = null;
+    this.debugMode = false;
+  }
+
+  /**
+   * Hide the elements of a detection result
+   * @param {Object} detection - Detection result
+   * @returns {boolean} Whether anything was hidden
+   */
+  hideDetection(detection) {
+    let hidden = false;
+
+    // Known CMPs name their own containers and backdrops
+    if (Array.isArray(detection.hideSelectors) && detection.hideSelectors.length > 0) {
+      this.hideSelectors(`cmp:${detection.cmpName}`, detection.hideSelectors);
+      hidden = true;
+    }
+
+    // A banner inside a shadow root is hidden through its host
+    const banner = detection.shadowHost || detection.banner;
+    const targets = [banner, detection.backdrop].filter(Boolean);
+    if (targets.length > 0) {
+      this.hideElements(targets);
+      hidden = true;
+    }
+
+    return hidden;
+  }
+
+  /**
+   * Hide everything matching the given selectors
+   * @param {string} key - Rule key, so the same selectors are not added twice
+   * @param {Array<string>} selectors
+   */
+  hideSelectors(key, selectors) {
+    const valid = selectors.filter(selector => this.isValidSelector(selector));
+    if (valid.length === 0) return;
+
+    this.setRule(key, `${valid.join(',\n')} {\n  display: none !important;\n}`);
+    this.log(`Hiding selectors: ${valid.join(', ')}`);
+  }
+
+  /**
+   * Hide specific elements
+   * @param {Array<Element>} elements
+   */
+  hideElements(elements) {
+    for (const element of elements) {
+      if (element.getRootNode() === document) {
+        element.setAttribute(this.hiddenAttribute, '');
+      } else {
+        // Elements in iframes or shadow roots are out of reach of our stylesheet
+        element.style.setProperty('display', 'none', 'important');
+      }
+    }
+
+    this.setRule('elements', `[${this.hiddenAttribute}] {\n  display: none !important;\n}`);
+  }
+
+  /**
+   * Make elements invisible while keeping their layout, so they stay clickable
+   * and pass visibility checks while the click logic runs
+   * @param {Array<string>} selectors
+   */
+  preHide(selectors) {
+    const valid = selectors.filter(selector => this.isValidSelector(selector));
+    if (valid.length === 0) return;
+
+    this.setRule('prehide', `${valid.join(',\n')} {\n  filter: opacity(0) !important;\n  pointer-events: none !important;\n}`);
+  }
+
+  /**
+   * Show pre-hidden elements again
+   */
+  releasePreHide() {
+    this.removeRule('prehide');
+  }
+
+  /**
+   * Add or replace a rule in the injected stylesheet
+   * @param {string} key
+   * @param {string} css
+   */
+  setRule(key, css) {
+    this.rules.set(key, css);
+    this.render();
+  }
+
+  /**
+   * Remove a rule from the injected stylesheet
+   * @param {string} key
+   */
+  removeRule(key) {
+    if (this.rules.delete(key)) {
+      this.render();
+    }
+  }
+
+  /**
+   * Write all rules into the style element, creating it when needed
+   */
+  render() {
+    if (!this.styleElement || !this.styleElement.isConnected) {
+      this.styleElement = document.getElementById(this.styleId) || document.createElement('style');
+      this.styleElement.id = this.styleId;
+      (document.head || document.documentElement).appendChild(this.styleElement);
+    }
+
+    this.styleElement.textContent = Array.from(this.rules.values()).join('\n\n');
+  }
+
+  /**
+   * @param {string} selector
+   * @returns {boolean}
+   */
+  isValidSelector(selector) {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (error) {
+      this.log(`Invalid hide selector: ${selector}`);
+      return false;
+    }
+  }
+
+  /**
+   * Log debug messages
+   * @param {string} message
+   */
+  log(message) {
+    if (this.debugMode) {
+      console.log(`[OneClick Cookies] ${message}`);
+    }
+  }
+}
+
+// Make available globally
+window.BannerHider = BannerHider;
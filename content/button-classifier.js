@@ -0,0 +1,192 @@
+/**
+ * Button Classifier
+ * Scores every clickable element in a banner as a candidate for one button
+ * type (accept, reject, settings, save) and picks the best one above a
+ * threshold. Evidence for a candidate: how much of its text a pattern covers,
+ * its aria-label, hints in its id and classes, being a real button rather than
+ * a link, and sitting in the banner's action area. Evidence against: negative
+ * patterns ("more info", "subscribe", "pay") and text that fits a conflicting
+ * type better, e.g. "nie zgadzam się" when looking for "zgadzam się".
+ */
+
+class ButtonClassifier {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getMatcher - Returns the TextMatcher for a button type, or for 'negative'
+   * @param {Function} options.isVisible - Visibility check for elements
+   */
+  constructor(options = {}) {
+    this.getMatcher = options.getMatcher;
+    this.isVisible = options.isVisible || (element => !!element);
+    this.threshold = 0.45;
+  }
+
+  /**
+   * Score the candidates for a button type
+   * @param {Element|null} container - Banner to search in, or null for the whole document
+   * @param {string} type - 'accept', 'reject', 'settings' or 'save'
+   * @returns {Object} `{ best, candidates }`; best is null when no candidate reaches the
+   *   threshold, candidates are `{ element, score, reasons }` sorted by score
+   */
+  classify(container, type) {
+    const searchContainer = container || document;
+    const elements = searchContainer.querySelectorAll(ButtonClassifier.CLICKABLE);
+    const bannerRect = container ? container.getBoundingClientRect() : null;
+
+    const candidates = [];
+    for (const element of elements) {
+      if (!this.isVisible(element)) continue;
+
+      const result = this.score(element, type, bannerRect);
+      if (result.matched) {
+        candidates.push({ element: element, score: result.score, reasons: result.reasons });
+      }
+    }
+    candidates.sort((a, b) => b.score - a.score);
+
+    const best = candidates[0]?.score >= this.threshold ? candidates[0] : null;
+    return { best: best, candidates: candidates };
+  }
+
+  /**
+   * Score one element as a button of a type
+   * @param {Element} element
+   * @param {string} type
+   * @param {DOMRect|null} bannerRect
+   * @returns {Object} `{ score, reasons, matched }`, matched is false without any text or hint for the type
+   */
+  score(element, type, bannerRect) {
+    const reasons = [];
+    let score = 0;
+    let matched = false;
+
+    const text = ButtonClassifier.getText(element);
+    const label = element.getAttribute('aria-label') || element.getAttribute('title') || '';
+
+    const textMatch = this.matchText(text, type);
+    const labelMatch = this.matchText(label, type);
+    if (textMatch || labelMatch) matched = true;
+    if (textMatch) {
+      score += textMatch.exact ? 0.6 : 0.3 + 0.3 * textMatch.coverage;
+      reasons.push(textMatch.exact
+        ? `exact text "${textMatch.term}"`
+        : `text contains "${textMatch.term}" (${Math.round(textMatch.coverage * 100)}%)`);
+      if (labelMatch) {
+        score += 0.1;
+        reasons.push('aria-label agrees');
+      }
+    } else if (labelMatch) {
+      // Icon buttons and buttons whose visible text is not in the vocabulary
+      score += 0.9 * (labelMatch.exact ? 0.6 : 0.3 + 0.3 * labelMatch.coverage);
+      reasons.push(`aria-label "${labelMatch.term}"`);
+    }
+
+    const hints = `${element.id} ${typeof element.className === 'string' ? element.className : ''} ${element.getAttribute('data-testid') || ''}`;
+    if (ButtonClassifier.HINTS[type]?.test(hints)) {
+      matched = true;
+      score += 0.15;
+      reasons.push('id/class hint');
+    }
+
+    const tag = element.tagName;
+    if (tag === 'BUTTON' || tag === 'INPUT' || element.getAttribute('role') === 'button') {
+      score += 0.1;
+      reasons.push('button element');
+    } else if (tag === 'A' && ClickGuard.isNavigatingLink(element)) {
+      score -= 0.25;
+      reasons.push('link to another page');
+    }
+
+    if (element.closest('p, li')) {
+      score -= 0.1;
+      reasons.push('inside running text');
+    }
+
+    if (bannerRect && bannerRect.height > 0) {
+      const rect = element.getBoundingClientRect();
+      if (rect.top + rect.height / 2 >= bannerRect.top + bannerRect.height / 2) {
+        score += 0.05;
+        reasons.push('lower half of banner');
+      }
+    }
+
+    // Evidence against
+    const combined = `${text} ${label}`;
+    const negative = this.getMatcher('negative').findAll(combined);
+    if (negative.length > 0) {
+      score -= 0.5;
+      reasons.push(`negative "${negative[0]}"`);
+    }
+
+    const own = textMatch || labelMatch;
+    for (const other of ButtonClassifier.CONFLICTS[type] || []) {
+      const otherMatch = this.matchText(text, other) || this.matchText(label, other);
+      if (otherMatch && (!own || otherMatch.coverage >= own.coverage)) {
+        score -= 0.4;
+        reasons.push(`looks like ${other} ("${otherMatch.term}")`);
+      }
+    }
+
+    return { score: Math.round(score * 100) / 100, reasons: reasons, matched: matched };
+  }
+
+  /**
+   * Best pattern of a type found in a text
+   * @param {string} text
+   * @param {string} type
+   * @returns {Object|null} `{ term, coverage, exact }`, coverage is the share of the text the term covers
+   */
+  matchText(text, type) {
+    const folded = ButtonClassifier.trimPunctuation(TextMatcher.normalize(text));
+    if (!folded) return null;
+
+    let best = null;
+    for (const term of this.getMatcher(type).findAll(folded)) {
+      const length = TextMatcher.normalize(term).length;
+      if (!best || length > best.length) {
+        best = { term: term, length: length };
+      }
+    }
+    if (!best) return null;
+
+    const coverage = Math.min(best.length / folded.length, 1);
+    return { term: best.term, coverage: coverage, exact: coverage === 1 };
+  }
+
+  /**
+   * @param {Element} element
+   * @returns {string}
+   */
+  static getText(element) {
+    return element.textContent?.trim() || element.value || '';
+  }
+
+  /**
+   * @param {string} text
+   * @returns {string} Text without leading and trailing punctuation and symbols
+   */
+  static trimPunctuation(text) {
+    return text.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+  }
+}
+
+ButtonClassifier.CLICKABLE = 'button, a, [role="button"], input[type="button"], input[type="submit"]';
+
+// Types whose patterns, when they fit a text at least as well, count against a candidate
+ButtonClassifier.CONFLICTS = {
+  accept: ['reject', 'settings'],
+  reject: ['settings'],
+  settings: ['save'],
+  save: []
+};
+
+// Words in ids, classes and test ids that give away a button's purpose
+ButtonClassifier.HINTS = {
+  accept: /accept|agree|allow|opt-?in|consent-?all/i,
+  reject: /reject|deny|decline|refuse|opt-?out|necessary|essential/i,
+  settings: /setting|preference|manage|customi[sz]e|option/i,
+  save: /save|confirm|submit/i
+};
+
+// Make available globally
+window.ButtonClassifier = ButtonClassifier;
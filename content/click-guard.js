@@ -0,0 +1,201 @@
+/**
+ * Click Guard
+ * Keeps the extension's own clicks from taking the user to another page.
+ * Before a click, links that would load another document and forms that would
+ * post to another site are vetoed. While the events of a click are dispatched,
+ * navigations they set off are cancelled through the Navigation API, except
+ * same-document ones, reloads and same-origin form posts, which is how some
+ * CMPs store consent. Navigations started by other elements, and anything the
+ * page does once the dispatch has returned, are left alone, as are the user's
+ * own clicks.
+ */
+
+class ClickGuard {
+  constructor() {
+    this.target = null; // Element whose events are being dispatched
+    this.veto = null; // Reason of a navigation cancelled while armed, until takeVeto()
+    this.debugMode = false;
+
+    this.handleNavigate = this.handleNavigate.bind(this);
+    this.handleSubmit = this.handleSubmit.bind(this);
+
+    if (window.navigation) {
+      window.navigation.addEventListener('navigate', this.handleNavigate);
+    }
+    // Fallback for browsers without the Navigation API; forms are the only navigation it can see
+    document.addEventListener('submit', this.handleSubmit, true);
+  }
+
+  /**
+   * Why clicking an element would leave the page
+   * @param {Element} element
+   * @returns {string|null} Veto reason, or null when the click is safe
+   */
+  check(element) {
+    const anchor = element.closest('a[href]');
+    if (anchor && ClickGuard.isNavigatingLink(anchor)) {
+      return `link to ${ClickGuard.describeUrl(anchor.href)}`;
+    }
+
+    const form = ClickGuard.getSubmittedForm(element);
+    const action = form && ClickGuard.getFormAction(form, element.closest('button, input'));
+    if (action && !ClickGuard.isSameOrigin(action)) {
+      return `submits a form to ${ClickGuard.describeUrl(action)}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Dispatch events to an element, cancelling the navigations they set off
+   * Navigations start synchronously from event handlers, so the guard is only
+   * armed for the length of the call.
+   * @param {Element} element
+   * @param {Function} dispatch - Dispatches the events
+   */
+  guard(element, dispatch) {
+    this.target = element;
+    try {
+      dispatch();
+    } finally {
+      this.target = null;
+    }
+  }
+
+  /**
+   * Whether a navigation may come from the guarded element
+   * Navigations from links and forms name their source; script navigations do not.
+   * @param {Element|null} source
+   * @returns {boolean}
+   */
+  isFromTarget(source) {
+    if (!this.target) return false;
+    return !source || this.target.contains(source) || source.contains(this.target);
+  }
+
+  /**
+   * Reason of the last navigation cancelled since the previous call
+   * @returns {string|null}
+   */
+  takeVeto() {
+    const veto = this.veto;
+    this.veto = null;
+    return veto;
+  }
+
+  /**
+   * @param {NavigateEvent} event
+   */
+  handleNavigate(event) {
+    if (event.userInitiated || !this.isFromTarget(event.sourceElement || null)) return;
+    if (event.destination.sameDocument || event.navigationType === 'reload') return;
+    if (event.formData && ClickGuard.isSameOrigin(event.destination.url)) return;
+
+    const reason = `navigation to ${ClickGuard.describeUrl(event.destination.url)}`;
+    if (!event.cancelable) {
+      this.log(`Could not cancel ${reason}`);
+      return;
+    }
+
+    event.preventDefault();
+    this.veto = reason;
+    this.log(`Cancelled ${reason}`);
+  }
+
+  /**
+   * @param {SubmitEvent} event
+   */
+  handleSubmit(event) {
+    if (window.navigation || !this.isFromTarget(event.submitter || event.target)) return;
+
+    const action = ClickGuard.getFormAction(event.target, event.submitter);
+    if (ClickGuard.isSameOrigin(action)) return;
+
+    event.preventDefault();
+    this.veto = `form submission to ${ClickGuard.describeUrl(action)}`;
+    this.log(`Cancelled ${this.veto}`);
+  }
+
+  /**
+   * Whether following a link would load another document
+   * Same-page `#` links and `javascript:` links stay on the page.
+   * @param {Element} anchor
+   * @returns {boolean}
+   */
+  static isNavigatingLink(anchor) {
+    const href = anchor.getAttribute('href');
+    if (!href || href.startsWith('#') || /^\s*javascript:/i.test(href)) return false;
+    if (anchor.target && anchor.target !== '_self') return true;
+
+    try {
+      const url = new URL(href, document.baseURI);
+      return url.origin !== window.location.origin ||
+        url.pathname !== window.location.pathname ||
+        url.search !== window.location.search;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Form a click on the element would submit
+   * @param {Element} element
+   * @returns {HTMLFormElement|null}
+   */
+  static getSubmittedForm(element) {
+    const submitter = element.closest('button, input');
+    if (!submitter?.form) return null;
+
+    const type = (submitter.getAttribute('type') || (submitter.tagName === 'BUTTON' ? 'submit' : 'text')).toLowerCase();
+    return type === 'submit' || type === 'image' ? submitter.form : null;
+  }
+
+  /**
+   * @param {HTMLFormElement} form
+   * @param {Element|null} submitter - May override the action with `formaction`
+   * @returns {string} Absolute URL
+   */
+  static getFormAction(form, submitter = null) {
+    return submitter?.getAttribute('formaction')
+      ? new URL(submitter.getAttribute('formaction'), document.baseURI).href
+      : form.action || window.location.href;
+  }
+
+  /**
+   * @param {string} url
+   * @returns {boolean}
+   */
+  static isSameOrigin(url) {
+    try {
+      return new URL(url, document.baseURI).origin === window.location.origin;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * @param {string} url
+   * @returns {string} Host and path, e.g. `example.com/privacy`
+   */
+  static describeUrl(url) {
+    try {
+      const parsed = new URL(url, document.baseURI);
+      return `${parsed.host}${parsed.pathname}`;
+    } catch (error) {
+      return String(url);
+    }
+  }
+
+  /**
+   * Log debug messages
+   * @param {string} message
+   */
+  log(message) {
+    if (this.debugMode) {
+      console.log(`[OneClick Cookies] ${message}`);
+    }
+  }
+}
+
+// Make available globally
+window.ClickGuard = ClickGuard;
@@ -8,17 +8,40 @@
 
   // Configuration
   let config = {
-    mode: 'manual', // 'auto-accept', 'auto-deny', 'manual'
+    mode: 'manual', // 'auto-accept', 'auto-deny', 'custom', 'hide', 'manual'
     debugMode: false,
-    whitelist: [],
-    blacklist: []
+    denyFallback: 'accept', // 'accept', 'hide', 'settings', 'leave'
+    consentProfile: {
+      functional: true,
+      analytics: false,
+      advertising: false,
+      social: false
+    },
+    siteRules: {} // { [pattern]: { mode: 'accept'|'deny'|'custom'|'hide'|'ignore', notes, profile } }
   };
 
   let detector = null;
+  let actionRunner = null;
+  let buttonClassifier = null;
+  let clickGuard = null;
+  let pageBridge = null;
+  let bannerHider = null;
+  let pageRestorer = null;
+  let elementPicker = null;
+  let debugOverlay = null;
+  let siteMatcher = new SiteMatcher();
   let patterns = null;
   let observer = null;
   let mutationTimeout = null;
   let processingBanner = false;
+  let preHideTimer = null;
+  let lastClickedButton = null; // Description of the last clicked element, for the history
+  let lastClickVeto = null; // Why the click guard refused or cancelled the last click
+
+  // Un-hide pre-hidden CMP containers if nothing was handled in time
+  const PRE_HIDE_TIMEOUT = 6000;
+  // Upper bound for a strategy chain while banners stay pre-hidden
+  const PRE_HIDE_HANDLING_TIMEOUT = 20000;
 
   const FALLBACK_PATTERNS = {
     knownCMPs: [],
@@ -36,31 +59,74 @@
     },
     keywords: {
       en: ['cookie', 'consent', 'gdpr', 'privacy', 'tracking']
+    },
+    otherDialogs: {
+      ageGate: {
+        en: ['age verification', 'verify your age', 'are you 18', 'date of birth']
+      },
+      newsletter: {
+        en: ['newsletter', 'subscribe', 'mailing list']
+      }
     }
   };
 
   /**
    * Initialize the content script
+   * Runs at document_start so known CMP containers can be pre-hidden before they paint
    */
   async function init() {
     try {
       // Load consent patterns
       patterns = await loadConsentPatterns();
-      
+
+      // Stylesheet-based cosmetic hiding
+      bannerHider = new window.BannerHider();
+
+      // Load user configuration
+      await loadConfig();
+
+      // Hide known CMP containers while the auto modes resolve them
+      applyPreHide();
+
+      await waitForDOMReady();
+
+      patterns = await loadLanguagePacks(patterns);
+
       // Initialize detector
       detector = new window.ConsentDetector();
       await detector.init(patterns);
       detector.debugMode = config.debugMode;
 
-      // Load user configuration
-      await loadConfig();
+      // Picks accept/reject/settings/save buttons by text when there are no selectors
+      buttonClassifier = new window.ButtonClassifier({
+        getMatcher: (type) => detector.getButtonMatcher(type),
+        isVisible: (element) => detector.isVisible(element)
+      });
+
+      // Keeps our clicks from navigating away from the page
+      clickGuard = new window.ClickGuard();
+      clickGuard.debugMode = config.debugMode;
 
-      // Start detection
-      detectAndProcess();
+      // Initialize interpreter for CMP action scripts
+      actionRunner = new window.ConsentActionRunner({
+        click: clickElement,
+        isVisible: (element) => detector.isVisible(element),
+        purposes: patterns.purposeCategories
+      });
 
-      // Setup mutation observer for dynamic banners
+      // Bridge to CMP APIs in the page's main world
+      pageBridge = new window.PageBridgeClient();
+
+      // Reverts scroll locks and obstructions left by dialogs
+      pageRestorer = new window.PageRestorer();
+      pageRestorer.debugMode = config.debugMode;
+
+      // Setup mutation observer for dynamic banners; it queues the initial scan
       setupMutationObserver();
 
+      // Start detection once the structural strategies have their candidates
+      detector.whenScanned().then(detectAndProcess);
+
       // Listen for messages from popup
       chrome.runtime.onMessage.addListener(handleMessage);
 
@@ -70,18 +136,62 @@
     }
   }
 
+  /**
+   * Resolve once the DOM has been parsed
+   * @returns {Promise}
+   */
+  function waitForDOMReady() {
+    if (document.readyState !== 'loading') {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => {
+      document.addEventListener('DOMContentLoaded', resolve, { once: true });
+    });
+  }
+
+  /**
+   * Pre-hide the banner containers of all known CMPs
+   */
+  function applyPreHide() {
+    if (!bannerHider || !getAutoAction()) return;
+
+    const selectors = (patterns.knownCMPs || []).flatMap(cmp => cmp.selectors?.banner || []);
+    if (selectors.length === 0) return;
+
+    bannerHider.preHide(selectors);
+    schedulePreHideRelease(PRE_HIDE_TIMEOUT);
+    log(`Pre-hiding ${selectors.length} known CMP selectors`);
+  }
+
+  /**
+   * (Re)start the safety timeout that un-hides pre-hidden banners
+   * @param {number} ms - Milliseconds
+   */
+  function schedulePreHideRelease(ms) {
+    clearTimeout(preHideTimer);
+    preHideTimer = setTimeout(() => {
+      log('Pre-hide safety timeout reached, showing banners');
+      releasePreHide();
+    }, ms);
+  }
+
+  /**
+   * Remove the pre-hide stylesheet rule
+   */
+  function releasePreHide() {
+    clearTimeout(preHideTimer);
+    preHideTimer = null;
+    if (bannerHider) bannerHider.releasePreHide();
+  }
+
   /**
    * Load consent patterns from JSON file
    * @returns {Promise<Object>}
    */
   async function loadConsentPatterns() {
     try {
-      const url = chrome.runtime.getURL('rules/consent-patterns.json');
-      const response = await fetch(url);
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
-      }
-      const data = await response.json();
+      const data = await fetchRules('rules/consent-patterns.json');
+      data.knownCMPs = [...await loadCustomCMPs(), ...(data.knownCMPs || [])];
       return data;
     } catch (error) {
       console.error('[OneClick Cookies] Failed to load patterns:', error);
@@ -89,6 +199,69 @@
     }
   }
 
+  /**
+   * Add the keyword, button and purpose vocabulary for the page's languages
+   * Needs the parsed page, for its `lang` attribute and text.
+   * @param {Object} basePatterns
+   * @returns {Promise<Object>} Patterns with the vocabulary of the chosen language packs
+   */
+  async function loadLanguagePacks(basePatterns) {
+    try {
+      const index = await fetchRules('rules/languages/index.json');
+      const selection = new window.LanguagePacks(index.languages).select({
+        documentLang: document.documentElement.lang,
+        navigatorLanguages: navigator.languages,
+        text: window.LanguagePacks.sampleText(document.body)
+      });
+      const packs = await Promise.all(
+        selection.languages.map(language => fetchRules(`rules/languages/${language}.json`))
+      );
+
+      log(`Language packs: ${selection.languages.join(', ')}${selection.all ? ' (page language unknown)' : ''}`);
+      return window.LanguagePacks.merge(basePatterns, packs);
+    } catch (error) {
+      console.error('[OneClick Cookies] Failed to load language packs:', error);
+      return {
+        ...basePatterns,
+        keywords: FALLBACK_PATTERNS.keywords,
+        buttonPatterns: FALLBACK_PATTERNS.buttonPatterns,
+        otherDialogs: FALLBACK_PATTERNS.otherDialogs
+      };
+    }
+  }
+
+  /**
+   * Fetch a bundled JSON file
+   * @param {string} path - Path inside the extension
+   * @returns {Promise<Object>}
+   */
+  async function fetchRules(path) {
+    const response = await fetch(chrome.runtime.getURL(path));
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} for ${path}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Load the user-defined CMP rules that apply to this site
+   * They are checked before the bundled ones, so they can override them.
+   * @returns {Promise<Array<Object>>} knownCMPs-style entries
+   */
+  async function loadCustomCMPs() {
+    try {
+      const result = await chrome.storage.local.get({ customCMPs: [] });
+      return result.customCMPs.filter(cmp => {
+        if (!Array.isArray(cmp.sites) || cmp.sites.length === 0) return true;
+        const matcher = new SiteMatcher(Object.fromEntries(cmp.sites.map(site => [site, true])));
+        return matcher.match(window.location.hostname) !== null;
+      });
+    } catch (error) {
+      console.error('[OneClick Cookies] Failed to load custom CMP rules:', error);
+      return [];
+    }
+  }
+
   /**
    * Load user configuration from storage
    */
@@ -97,14 +270,33 @@
       const result = await chrome.storage.sync.get({
         mode: 'manual',
         debugMode: false,
-        whitelist: [],
-        blacklist: []
+        denyFallback: 'accept',
+        consentProfile: config.consentProfile
       });
+      // Site rules are kept in storage.local, which has room for long lists
+      const { siteRules } = await chrome.storage.local.get({ siteRules: {} });
 
-      config = result;
+      config = { ...result, siteRules: siteRules };
+      siteMatcher.setRules(config.siteRules);
       if (detector) {
         detector.debugMode = config.debugMode;
       }
+      if (actionRunner) {
+        actionRunner.debugMode = config.debugMode;
+      }
+      if (bannerHider) {
+        bannerHider.debugMode = config.debugMode;
+      }
+      if (pageRestorer) {
+        pageRestorer.debugMode = config.debugMode;
+      }
+      if (clickGuard) {
+        clickGuard.debugMode = config.debugMode;
+      }
+      if (debugOverlay && !config.debugMode) {
+        debugOverlay.remove();
+        debugOverlay = null;
+      }
 
       log(`Config loaded: mode=${config.mode}`);
     } catch (error) {
@@ -127,15 +319,15 @@
       await sleep(500);
 
       const detection = detector.detect();
+      showDebugOverlay(detection);
 
       if (detection) {
         log(`Banner detected: type=${detection.type}, confidence=${detection.confidence}`);
 
-        // Check domain rules
-        const currentDomain = window.location.hostname;
-        
-        if (config.blacklist.includes(currentDomain)) {
-          log(`Domain ${currentDomain} is blacklisted, skipping`);
+        // Check site rules
+        if (getSiteRule()?.mode === 'ignore') {
+          log(`Site rule for ${window.location.hostname} is 'ignore', skipping`);
+          releasePreHide();
           processingBanner = false;
           return;
         }
@@ -143,15 +335,28 @@
         // Notify background script
         await notifyBannerDetected(detection);
 
-        // Process based on mode
-        if (config.mode === 'auto-accept') {
-          await handleAccept(detection);
-        } else if (config.mode === 'auto-deny') {
-          await handleDeny(detection);
-        } else if (config.whitelist.includes(currentDomain)) {
-          // Auto-accept for whitelisted domains
-          await handleAccept(detection);
+        const autoAction = getAutoAction();
+        if (autoAction && !hasEnoughEvidence(detection)) {
+          log(`Evidence ${detection.evidence.score} is below ${detector.bannerClassifier.autoActionMinimum}, leaving the banner to the popup`);
+        } else if (autoAction) {
+          // Keep banners pre-hidden while the strategy chain runs
+          if (preHideTimer) schedulePreHideRelease(PRE_HIDE_HANDLING_TIMEOUT);
+
+          // Process based on mode
+          let outcome = null;
+          if (autoAction === 'accept') {
+            outcome = await handleAccept(detection);
+          } else if (autoAction === 'deny') {
+            outcome = await handleDeny(detection);
+          } else if (autoAction === 'custom') {
+            outcome = await handleCustom(detection);
+          } else if (autoAction === 'hide') {
+            outcome = await handleHide(detection);
+          }
+          showDebugOverlay(detection, outcome);
         }
+
+        releasePreHide();
       } else {
         log('No banner detected on page');
       }
@@ -164,111 +369,458 @@
   }
 
   /**
-   * Handle accept action
-   * @param {Object} detection - Detection result
+   * Outline a detection and list every strategy's result, in debug mode
+   * Subframes only show the overlay when they have a banner.
+   * @param {Object|null} detection
+   * @param {Object|null} outcome - Outcome of the strategy chain once handled
    */
-  async function handleAccept(detection) {
-    log('Attempting to accept cookies...');
+  function showDebugOverlay(detection, outcome = null) {
+    if (!config.debugMode || (!detection && window !== window.top)) return;
 
-    let clicked = false;
-
-    // Try known CMP selectors first
-    if (detection.acceptSelectors) {
-      for (const selector of detection.acceptSelectors) {
-        const button = detection.banner.querySelector(selector) || 
-                      document.querySelector(selector);
-        
-        if (button && detector.isVisible(button)) {
-          await clickElement(button);
-          clicked = true;
-          break;
-        }
+    try {
+      if (!debugOverlay) debugOverlay = new window.DebugOverlay();
+
+      const autoAction = getAutoAction();
+      const siteMatch = siteMatcher.match(window.location.hostname);
+      let decision;
+      if (siteMatch?.rule.mode === 'ignore') {
+        decision = `Ignored by site rule ${siteMatch.pattern}`;
+      } else if (autoAction && detection && !hasEnoughEvidence(detection)) {
+        decision = `Action ${autoAction} withheld: evidence ${detection.evidence.score} is below ${detector.bannerClassifier.autoActionMinimum}`;
+      } else if (autoAction) {
+        decision = `Action: ${autoAction} (${siteMatch ? `site rule ${siteMatch.pattern}` : `mode ${config.mode}`})`;
+      } else {
+        decision = 'Manual mode: waiting for the popup';
       }
+
+      // In manual mode show what either popup button would do
+      const previewAction = autoAction || 'accept';
+      const buttonTypes = autoAction === 'accept' || autoAction === 'deny' ? [autoAction] : autoAction ? [] : ['accept', 'deny'];
+
+      debugOverlay.render({
+        detection: detection,
+        report: detector.lastReport,
+        decision: decision,
+        languages: patterns.languages,
+        action: previewAction,
+        strategies: detection && previewAction !== 'hide'
+          ? buildStrategies(detection, previewAction).map(strategy => strategy.name)
+          : [],
+        buttons: detection
+          ? buttonTypes.map(type => ({ type: type, ...findButtonFor(detection, type) }))
+            .filter(button => button.element || button.alternatives?.length > 0)
+          : [],
+        outcome: outcome
+      });
+    } catch (error) {
+      console.error('[OneClick Cookies] Debug overlay error:', error);
     }
+  }
 
-    // Fallback: find by button text patterns
-    if (!clicked) {
-      clicked = await findAndClickButton(detection.banner, 'accept');
+  /**
+   * Button the click strategies would use for an action, without clicking it
+   * API calls and action scripts run before these and are not previewed.
+   * @param {Object} detection
+   * @param {string} type - 'accept' or 'deny'
+   * @returns {Object} `{ element, via }`, element is null when nothing matches
+   */
+  function findButtonFor(detection, type) {
+    const selectors = (type === 'accept' ? detection.acceptSelectors : detection.rejectSelectors) || [];
+    for (const selector of selectors) {
+      const element = findSelectorButton(detection.banner, selector);
+      if (element) return { element: element, via: `selector ${selector}` };
     }
 
-    if (clicked) {
-      log('Successfully accepted cookies');
-      await notifyBannerHandled('accept');
-      // Clear detection cache after handling
-      if (detector) detector.clearCache();
+    const result = classifyButtons(detection.banner, type === 'accept' ? 'accept' : 'reject');
+    return {
+      element: result?.best?.element || null,
+      via: result?.best ? `text, score ${result.best.score}` : 'text',
+      alternatives: result?.candidates.slice(0, 3) || []
+    };
+  }
+
+  /**
+   * Whether a detection is certain enough for the automatic modes to act on
+   * Manual actions from the popup do not ask; the user has seen the dialog.
+   * @param {Object} detection
+   * @returns {boolean}
+   */
+  function hasEnoughEvidence(detection) {
+    return !detection.evidence || detector.bannerClassifier.allowsAutoAction(detection.evidence);
+  }
+
+  /**
+   * Resolve which action the extension takes on its own on this page
+   * @returns {string|null} 'accept', 'deny', 'custom', 'hide', or null for none
+   */
+  function getAutoAction() {
+    const siteRule = getSiteRule();
+
+    // A site rule overrides the global mode
+    if (siteRule) {
+      return siteRule.mode === 'ignore' ? null : siteRule.mode;
+    }
+
+    switch (config.mode) {
+      case 'auto-accept': return 'accept';
+      case 'auto-deny': return 'deny';
+      case 'custom': return 'custom';
+      case 'hide': return 'hide';
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the site rule for the current page
+   * @returns {Object|null} `{ mode, notes, profile }`
+   */
+  function getSiteRule() {
+    return siteMatcher.match(window.location.hostname)?.rule || null;
+  }
+
+  /**
+   * Consent profile for the current page, from its site rule or the global setting
+   * @returns {Object}
+   */
+  function getConsentProfile() {
+    return getSiteRule()?.profile || config.consentProfile;
+  }
+
+  /**
+   * Handle accept action
+   * @param {Object} detection - Detection result
+   * @param {string|null} denyFallback - Set when accepting as the deny fallback
+   * @returns {Promise<Object>} Outcome of the strategy chain
+   */
+  async function handleAccept(detection, denyFallback = null) {
+    log('Attempting to accept cookies...');
+
+    const consentBefore = await readTCFConsent();
+    const strategies = buildStrategies(detection, 'accept');
+
+    // Last resort: hide the banner without recording consent
+    strategies.push({
+      name: 'cosmetic',
+      cosmetic: true,
+      run: async () => hideBannerCosmetically(detection)
+    });
+
+    const outcome = await runStrategyChain(detection, strategies);
+    outcome.denyFallback = denyFallback;
+
+    if (outcome.success) {
+      log(`Successfully accepted cookies via ${outcome.strategy}`);
     } else {
-      log('Failed to find accept button');
+      log(`Failed to accept cookies: ${outcome.reason}`);
     }
+    await notifyBannerHandled(detection, 'accept', consentBefore, outcome);
+    return outcome;
   }
 
   /**
    * Handle deny action
    * @param {Object} detection - Detection result
+   * @returns {Promise<Object>} Outcome of the strategy chain
    */
   async function handleDeny(detection) {
     log('Attempting to deny cookies...');
 
-    let clicked = false;
-
-    // Try known CMP selectors first
-    if (detection.rejectSelectors) {
-      for (const selector of detection.rejectSelectors) {
-        const button = detection.banner.querySelector(selector) || 
-                      document.querySelector(selector);
-        
-        if (button && detector.isVisible(button)) {
-          await clickElement(button);
-          clicked = true;
-          break;
-        }
-      }
+    const consentBefore = await readTCFConsent();
+    const outcome = await runStrategyChain(detection, buildStrategies(detection, 'deny'));
+
+    if (outcome.success) {
+      log(`Successfully denied cookies via ${outcome.strategy}`);
+      await notifyBannerHandled(detection, 'deny', consentBefore, outcome);
+      return outcome;
     }
 
-    // Fallback: find by button text patterns
-    if (!clicked) {
-      clicked = await findAndClickButton(detection.banner, 'reject');
+    if (outcome.bannerGone) {
+      log(`Failed to deny cookies: ${outcome.reason}`);
+      await notifyBannerHandled(detection, 'deny', consentBefore, outcome);
+      return outcome;
     }
 
-    if (clicked) {
-      log('Successfully denied cookies');
-      await notifyBannerHandled('deny');
-      // Clear detection cache after handling
-      if (detector) detector.clearCache();
+    return handleDenyFallback(detection, consentBefore);
+  }
+
+  /**
+   * Apply the configured deny-strictness policy when no reject option worked
+   * @param {Object} detection - Detection result
+   * @param {Object|null} consentBefore - TCF consent read before handling
+   * @returns {Promise<Object>} Outcome of the fallback
+   */
+  async function handleDenyFallback(detection, consentBefore) {
+    const policy = config.denyFallback || 'accept';
+    log(`Failed to find deny button, applying deny fallback: ${policy}`);
+
+    let outcome;
+    switch (policy) {
+      case 'hide':
+        outcome = await runStrategyChain(detection, [{
+          name: 'cosmetic',
+          cosmetic: true,
+          run: async () => hideBannerCosmetically(detection)
+        }]);
+        break;
+
+      case 'settings':
+        // Open the settings layer and save with every optional purpose off
+        outcome = await runStrategyChain(detection, buildStrategies(detection, 'custom', {}));
+        break;
+
+      case 'leave':
+        outcome = {
+          success: false,
+          strategy: null,
+          reason: 'No reject option found; banner left for the user'
+        };
+        break;
+
+      default:
+        // Some sites only have accept, better to accept than leave banner
+        return handleAccept(detection, 'accept');
+    }
+
+    outcome.denyFallback = policy;
+    await notifyBannerHandled(detection, 'deny', consentBefore, outcome);
+    return outcome;
+  }
+
+  /**
+   * Handle custom action: apply the per-purpose consent profile
+   * @param {Object} detection - Detection result
+   * @returns {Promise<Object>} Outcome of the strategy chain
+   */
+  async function handleCustom(detection) {
+    log('Attempting to apply consent profile...');
+
+    const consentBefore = await readTCFConsent();
+    const outcome = await runStrategyChain(detection, buildStrategies(detection, 'custom'));
+
+    if (outcome.success) {
+      log(`Successfully applied consent profile via ${outcome.strategy}`);
     } else {
-      log('Failed to find deny button, trying accept as fallback');
-      // Some sites only have accept, better to accept than leave banner
-      await handleAccept(detection);
+      log(`Failed to apply consent profile, leaving banner for the user: ${outcome.reason}`);
     }
+    await notifyBannerHandled(detection, 'custom', consentBefore, outcome);
+    return outcome;
   }
 
   /**
-   * Find and click button by text patterns
-   * @param {Element} container - Container element to search in
-   * @param {string} type - 'accept' or 'reject'
-   * @returns {Promise<boolean>} Success status
+   * Handle hide-only action: hide the banner without interacting with it
+   * @param {Object} detection - Detection result
+   * @returns {Promise<Object>} Outcome of the cosmetic strategy
    */
-  async function findAndClickButton(container, type) {
-    if (!patterns?.buttonPatterns) return false;
+  async function handleHide(detection) {
+    log('Hiding banner without recording consent...');
+
+    const outcome = await runStrategyChain(detection, [{
+      name: 'cosmetic',
+      cosmetic: true,
+      run: async () => hideBannerCosmetically(detection)
+    }]);
+
+    if (outcome.success) {
+      log('Successfully hid banner');
+    } else {
+      log(`Failed to hide banner: ${outcome.reason}`);
+    }
+    await notifyBannerHandled(detection, 'hide', null, outcome);
+    return outcome;
+  }
 
-    const textPatterns = [];
-    for (const lang in patterns.buttonPatterns[type]) {
-      textPatterns.push(...patterns.buttonPatterns[type][lang]);
+  /**
+   * Build the ordered list of strategies for an action
+   * @param {Object} detection - Detection result
+   * @param {string} type - 'accept', 'deny' or 'custom'
+   * @param {Object} profile - Consent profile for 'custom', defaults to the page's
+   * @returns {Array<Object>} Strategies of `{ name, run }`
+   */
+  function buildStrategies(detection, type, profile = getConsentProfile()) {
+    const key = { accept: 'optIn', deny: 'optOut', custom: 'custom' }[type];
+    const context = { profile: profile };
+    const strategies = [];
+
+    // Prefer the CMP's JavaScript API when it exposes one
+    if (detection.api?.[key]) {
+      strategies.push({ name: 'api', run: () => runCMPApi(detection.api[key], key, context) });
+    }
+
+    // Then the CMP's declarative action script
+    if (detection.actions?.[key]) {
+      strategies.push({ name: 'script', run: () => runActionScript(detection.actions[key], key, context) });
     }
 
-    // Find all clickable elements
-    const searchContainer = container || document;
-    const buttons = searchContainer.querySelectorAll(
-      'button, a, [role="button"], input[type="button"], input[type="submit"]'
-    );
+    if (type === 'custom') {
+      // Open the settings layer, set toggles and save
+      strategies.push({ name: 'generic', run: () => applyProfileGenerically(detection, context) });
+      return strategies;
+    }
+
+    // Each known CMP selector is its own attempt
+    const selectors = (type === 'accept' ? detection.acceptSelectors : detection.rejectSelectors) || [];
+    for (const selector of selectors) {
+      strategies.push({ name: `selector ${selector}`, run: () => clickSelector(detection.banner, selector) });
+    }
+
+    // Fallback: find by button text patterns
+    const buttonType = type === 'accept' ? 'accept' : 'reject';
+    strategies.push({ name: 'text', run: () => findAndClickButton(detection.banner, buttonType) });
+
+    return strategies;
+  }
+
+  /**
+   * Run strategies in order until one is verified to have handled the banner
+   * @param {Object} detection - Detection result
+   * @param {Array<Object>} strategies - From buildStrategies
+   * @returns {Promise<Object>} Outcome with success, strategy and reason
+   */
+  async function runStrategyChain(detection, strategies) {
+    const attempts = [];
 
-    for (const button of buttons) {
-      if (!detector.isVisible(button)) continue;
+    for (const strategy of strategies) {
+      const storageBefore = snapshotConsentStorage();
+      let ran = false;
+      lastClickedButton = null;
+      lastClickVeto = null;
+      clickGuard.takeVeto(); // Left over from an earlier click
 
-      const buttonText = (button.textContent || button.value || '').toLowerCase().trim();
-      
-      for (const pattern of textPatterns) {
-        if (buttonText.includes(pattern.toLowerCase())) {
-          await clickElement(button);
+      try {
+        ran = await strategy.run();
+      } catch (error) {
+        log(`Strategy ${strategy.name} threw: ${error.message}`);
+      }
+
+      const veto = lastClickVeto || clickGuard.takeVeto();
+      if (veto) {
+        attempts.push({ strategy: strategy.name, result: `vetoed: ${veto}` });
+        log(`Strategy ${strategy.name} vetoed: ${veto}`);
+        continue;
+      }
+
+      if (!ran) {
+        attempts.push({ strategy: strategy.name, result: 'not applicable' });
+        continue;
+      }
+
+      const verification = await verifyHandled(detection, storageBefore, strategy.cosmetic);
+      attempts.push({ strategy: strategy.name, result: verification.reason });
+      log(`Strategy ${strategy.name}: ${verification.reason}`);
+
+      if (verification.success) {
+        if (detector) detector.clearCache();
+        await restorePage();
+        return {
+          success: true,
+          strategy: strategy.name,
+          reason: verification.reason,
+          button: lastClickedButton,
+          attempts: attempts
+        };
+      }
+
+      // Nothing left to click once the banner has closed
+      if (verification.bannerGone) {
+        if (detector) detector.clearCache();
+        return {
+          success: false,
+          strategy: strategy.name,
+          reason: verification.reason,
+          button: lastClickedButton,
+          bannerGone: true,
+          attempts: attempts
+        };
+      }
+    }
+
+    return { success: false, strategy: null, reason: 'No strategy closed the banner', attempts: attempts };
+  }
+
+  /**
+   * Verify that the banner went away and consent was stored
+   * @param {Object} detection - Detection result
+   * @param {Object} storageBefore - Snapshot from snapshotConsentStorage
+   * @param {boolean} cosmetic - Only require the banner to be hidden
+   * @param {number} timeout - Milliseconds
+   * @returns {Promise<Object>} Verification with success, bannerGone and reason
+   */
+  async function verifyHandled(detection, storageBefore, cosmetic = false, timeout = 2500) {
+    const deadline = Date.now() + timeout;
+    let bannerGone = false;
+    let storageChanged = false;
+
+    while (true) {
+      bannerGone = isBannerGone(detection);
+      storageChanged = hasConsentStorageChanged(storageBefore, detection.consentStorage);
+
+      if (bannerGone && (cosmetic || storageChanged)) break;
+      if (Date.now() >= deadline) break;
+      await sleep(200);
+    }
+
+    if (!bannerGone) {
+      return { success: false, bannerGone: false, reason: 'Banner still visible' };
+    }
+    if (cosmetic) {
+      return { success: true, bannerGone: true, reason: 'Banner hidden without recording consent' };
+    }
+    if (!storageChanged) {
+      return { success: false, bannerGone: true, reason: 'Banner closed but no consent cookie or storage key was written' };
+    }
+    return { success: true, bannerGone: true, reason: 'Banner closed and consent stored' };
+  }
+
+  /**
+   * Check whether the detected banner is detached or hidden
+   * @param {Object} detection - Detection result
+   * @returns {boolean}
+   */
+  function isBannerGone(detection) {
+    const banner = detection.banner;
+    return !banner || !banner.isConnected || !detector.isVisible(banner);
+  }
+
+  /**
+   * Snapshot cookies and localStorage entries to detect consent being written
+   * @returns {Object} `{ cookies, localStorage }` maps of name to value
+   */
+  function snapshotConsentStorage() {
+    const snapshot = { cookies: {}, localStorage: {} };
+
+    for (const pair of document.cookie.split(';')) {
+      const index = pair.indexOf('=');
+      const name = (index === -1 ? pair : pair.slice(0, index)).trim();
+      if (name) snapshot.cookies[name] = index === -1 ? '' : pair.slice(index + 1);
+    }
+
+    try {
+      for (let i = 0; i < window.localStorage.length; i++) {
+        const key = window.localStorage.key(i);
+        snapshot.localStorage[key] = window.localStorage.getItem(key);
+      }
+    } catch (error) {
+      // localStorage may be blocked on this page
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Compare the current storage with a snapshot
+   * @param {Object} before - Snapshot from snapshotConsentStorage
+   * @param {Object} consentStorage - Optional CMP keys `{ cookies, localStorage }`
+   * @returns {boolean} True when a relevant cookie or key was added or changed
+   */
+  function hasConsentStorageChanged(before, consentStorage) {
+    const after = snapshotConsentStorage();
+
+    for (const area of ['cookies', 'localStorage']) {
+      // Known CMPs declare the keys they write; otherwise any change counts
+      const names = consentStorage?.[area] || Object.keys(after[area]);
+      for (const name of names) {
+        if (name in after[area] && after[area][name] !== before[area][name]) {
           return true;
         }
       }
@@ -277,39 +829,250 @@
     return false;
   }
 
+  /**
+   * Hide the banner and its backdrop, without recording consent
+   * @param {Object} detection - Detection result
+   * @returns {boolean} Whether anything was hidden
+   */
+  function hideBannerCosmetically(detection) {
+    if (!bannerHider) return false;
+
+    // Generic detections carry no backdrop of their own
+    if (!detection.backdrop && !detection.hideSelectors && detection.banner) {
+      detection.backdrop = detector.findBackdropFor(detection.banner);
+    }
+
+    return bannerHider.hideDetection(detection);
+  }
+
+  /**
+   * Revert scroll locks and obstructions once a banner is gone
+   */
+  async function restorePage() {
+    if (!pageRestorer) return;
+
+    // Give the CMP a moment to clean up after itself first
+    await sleep(300);
+    const changed = pageRestorer.restore();
+    if (changed > 0) {
+      log(`Reverted ${changed} page obstructions`);
+    }
+  }
+
+  /**
+   * Click the first visible element matching a selector
+   * @param {Element} container - Banner to search first
+   * @param {string} selector
+   * @returns {Promise<boolean>} Success status
+   */
+  async function clickSelector(container, selector) {
+    const button = findSelectorButton(container, selector);
+    return button ? clickElement(button) : false;
+  }
+
+  /**
+   * Find a visible element by selector, inside the container first
+   * @param {Element} container
+   * @param {string} selector
+   * @returns {Element|null}
+   */
+  function findSelectorButton(container, selector) {
+    const button = container?.querySelector(selector) || document.querySelector(selector);
+    return button && detector.isVisible(button) ? button : null;
+  }
+
+  /**
+   * Apply the consent profile to a banner without a CMP script
+   * @param {Object} detection - Detection result
+   * @param {Object} context - Action runner context holding the profile
+   * @returns {Promise<boolean>} Success status
+   */
+  async function applyProfileGenerically(detection, context) {
+    const toggleSelector = 'input[type="checkbox"], [role="switch"]';
+
+    // Toggles may already be on the first layer
+    if (!detection.banner.querySelector(toggleSelector)) {
+      const opened = await findAndClickButton(detection.banner, 'settings');
+      if (!opened) return false;
+      await sleep(500);
+    }
+
+    const scope = detection.banner.isConnected && detection.banner.querySelector(toggleSelector)
+      ? detection.banner
+      : document;
+    const selector = scope === document
+      ? '[role="dialog"] input[type="checkbox"], [role="dialog"] [role="switch"]'
+      : toggleSelector;
+
+    const toggles = Array.from(scope.querySelectorAll(selector));
+    if (!(await actionRunner.applyProfile(toggles, context.profile))) {
+      return false;
+    }
+
+    const container = scope === document ? toggles[0].closest('[role="dialog"]') : scope;
+    return findAndClickButton(container, 'save');
+  }
+
+  /**
+   * Call CMP JavaScript API functions in the page's main world
+   * @param {Array<Object>} calls - Items of `{ call, args, optional }` from consent-patterns.json
+   * @param {string} label - 'optIn', 'optOut' or 'custom', for logging
+   * @param {Object} context - Holds the consent profile for `$purpose` arguments
+   * @returns {Promise<boolean>} Success status
+   */
+  async function runCMPApi(calls, label, context = {}) {
+    if (!pageBridge) return false;
+
+    // Substitute "$analytics"-style placeholders with profile values
+    const resolvedCalls = calls.map(item => ({
+      call: item.call,
+      optional: !!item.optional,
+      args: (item.args || []).map(arg =>
+        typeof arg === 'string' && arg.startsWith('$') ? !!context.profile?.[arg.slice(1)] : arg
+      )
+    }));
+
+    log(`Calling ${label} CMP API: ${calls.map(item => item.call).join(', ')}`);
+    const result = await pageBridge.call('callCMPApi', [resolvedCalls], 3000);
+
+    if (!result?.success) {
+      log(`CMP API ${label} failed: ${result?.error || 'no response from page bridge'}`);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Run a CMP action script through the action runner
+   * @param {Array<Object>} steps - Script steps from consent-patterns.json
+   * @param {string} label - 'optIn', 'optOut' or 'custom', for logging
+   * @param {Object} context - Action runner context
+   * @returns {Promise<boolean>} Success status
+   */
+  async function runActionScript(steps, label, context = {}) {
+    if (!actionRunner) return false;
+
+    log(`Running ${label} action script (${steps.length} steps)`);
+    const result = await actionRunner.run(steps, context);
+
+    if (!result.success) {
+      log(`Action script ${label} failed: ${result.reason}`);
+    }
+    return result.success;
+  }
+
+  /**
+   * Find and click button by text patterns
+   * @param {Element} container - Container element to search in
+   * @param {string} type - 'accept', 'reject', 'settings' or 'save'
+   * @returns {Promise<boolean>} Success status
+   */
+  async function findAndClickButton(container, type) {
+    const button = findButton(container, type);
+    return button ? clickElement(button) : false;
+  }
+
+  /**
+   * Find the visible button that best fits a type, see ButtonClassifier
+   * @param {Element} container - Container element to search in
+   * @param {string} type - 'accept', 'reject', 'settings' or 'save'
+   * @returns {Element|null}
+   */
+  function findButton(container, type) {
+    return classifyButtons(container, type)?.best?.element || null;
+  }
+
+  /**
+   * Score the candidate buttons of a type
+   * @param {Element} container - Container element to search in
+   * @param {string} type - 'accept', 'reject', 'settings' or 'save'
+   * @returns {Object|null} `{ best, candidates }`, null when there are no patterns for the type
+   */
+  function classifyButtons(container, type) {
+    if (!patterns?.buttonPatterns?.[type]) return null;
+
+    const result = buttonClassifier.classify(container, type);
+    if (config.debugMode && result.candidates.length > 0) {
+      const top = result.candidates.slice(0, 3)
+        .map(candidate => `${describeElement(candidate.element).text || candidate.element.tagName} (${candidate.score})`);
+      log(`${type} button: ${result.best ? 'picked' : 'none above threshold'}, top candidates ${top.join(', ')}`);
+    }
+    return result;
+  }
+
+  /**
+   * Short description of a clicked element for the consent history
+   * @param {Element} element
+   * @returns {Object} `{ text, selector }`
+   */
+  function describeElement(element) {
+    const text = element.getAttribute('aria-label') || element.textContent || element.value || '';
+    let selector = element.tagName.toLowerCase();
+    if (element.id) {
+      selector += `#${element.id}`;
+    } else if (typeof element.className === 'string' && element.className.trim()) {
+      selector += `.${element.className.trim().split(/\s+/)[0]}`;
+    }
+
+    return {
+      text: text.replace(/\s+/g, ' ').trim().slice(0, 80),
+      selector: selector
+    };
+  }
+
   /**
    * Click element with proper event simulation
+   * Refuses clicks that would leave the page, see ClickGuard.
    * @param {Element} element
+   * @returns {Promise<boolean>} False when the click was refused or its navigation cancelled
    */
   async function clickElement(element) {
+    lastClickedButton = describeElement(element);
+
+    const veto = clickGuard.check(element);
+    if (veto) {
+      lastClickVeto = veto;
+      log(`Not clicking ${element.tagName}: ${veto}`);
+      return false;
+    }
+
     try {
       // Scroll element into view
       element.scrollIntoView({ behavior: 'smooth', block: 'center' });
       await sleep(100);
 
-      // Simulate realistic click sequence
-      const events = ['mousedown', 'mouseup', 'click'];
-      
-      for (const eventType of events) {
+      // Simulate realistic click sequence; the guard cancels navigations the handlers start
+      for (const eventType of ['mousedown', 'mouseup']) {
         const event = new MouseEvent(eventType, {
           view: window,
           bubbles: true,
           cancelable: true,
           buttons: 1
         });
-        element.dispatchEvent(event);
+        clickGuard.guard(element, () => element.dispatchEvent(event));
         await sleep(50);
       }
 
-      // Also try direct click as fallback
-      if (element.click) {
-        element.click();
-      }
+      // Exactly one activation: a dispatched click and click() would each flip a toggle
+      clickGuard.guard(element, () => {
+        if (typeof element.click === 'function') {
+          element.click();
+        } else {
+          element.dispatchEvent(new MouseEvent('click', { view: window, bubbles: true, cancelable: true }));
+        }
+      });
 
       log(`Clicked element: ${element.tagName}`);
     } catch (error) {
       console.error('[OneClick Cookies] Click error:', error);
     }
+
+    const cancelled = clickGuard.takeVeto();
+    if (cancelled) {
+      lastClickVeto = cancelled;
+      return false;
+    }
+    return true;
   }
 
   /**
@@ -321,7 +1084,9 @@
       observer.disconnect();
     }
 
-    observer = new MutationObserver((mutations) => {
+    // The detector scans mutated subtrees in idle time and reports when
+    // something worth a new detection shows up
+    detector.onChange = () => {
       // Debounce detection calls
       if (processingBanner) return;
       if (mutationTimeout) {
@@ -331,15 +1096,20 @@
         mutationTimeout = null;
         detectAndProcess();
       }, 500);
+    };
+
+    observer = new MutationObserver((mutations) => {
+      detector.handleMutations(mutations);
     });
 
-    if (document.body) {
-      observer.observe(document.body, {
-        childList: true,
-        subtree: true,
-        attributes: false
-      });
-    }
+    // The whole document, so stylesheets added to <head> are seen too
+    observer.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: detector.watchedAttributes
+    });
+    detector.scan(document.documentElement);
   }
 
   /**
@@ -371,8 +1141,8 @@
             
             if (detection) {
               log('Banner found, executing accept action');
-              await handleAccept(detection);
-              sendResponse({ success: true });
+              const outcome = await handleAccept(detection);
+              sendResponse({ success: outcome.success, error: outcome.success ? undefined : outcome.reason });
             } else {
               log('No banner detected after retry');
               sendResponse({ success: false, error: 'No banner detected' });
@@ -393,14 +1163,24 @@
             
             if (detection2) {
               log('Banner found, executing deny action');
-              await handleDeny(detection2);
-              sendResponse({ success: true });
+              const outcome2 = await handleDeny(detection2);
+              sendResponse({ success: outcome2.success, error: outcome2.success ? undefined : outcome2.reason });
             } else {
               log('No banner detected after retry');
               sendResponse({ success: false, error: 'No banner detected' });
             }
             break;
 
+          case 'startPicker':
+            startPicker();
+            sendResponse({ success: true });
+            break;
+
+          case 'undoPageRestore':
+            const undone = pageRestorer ? pageRestorer.undo() : 0;
+            sendResponse({ success: true, count: undone });
+            break;
+
           case 'detectBanner':
             const detection3 = detector.detect();
             sendResponse({ 
@@ -421,6 +1201,48 @@
     return true; // Keep message channel open for async response
   }
 
+  /**
+   * Let the user pick the banner and its buttons, and save them as a
+   * custom CMP rule for this site
+   */
+  async function startPicker() {
+    if (elementPicker) return;
+
+    elementPicker = new window.ElementPicker();
+    elementPicker.debugMode = config.debugMode;
+    const picker = elementPicker;
+
+    try {
+      const picked = await picker.start();
+      if (!picked) return;
+
+      const hostname = window.location.hostname;
+      const selectors = { banner: [picked.banner] };
+      if (picked.acceptButton) selectors.acceptButton = [picked.acceptButton];
+      if (picked.rejectButton) selectors.rejectButton = [picked.rejectButton];
+
+      const response = await chrome.runtime.sendMessage({
+        action: 'saveCustomCMP',
+        cmp: {
+          name: `Picked on ${hostname}`,
+          sites: [`site:${hostname}`],
+          selectors: selectors,
+          hide: [picked.banner]
+        }
+      });
+
+      picker.showMessage(response?.success
+        ? 'Saved. Reload the page to use the new rule.'
+        : `Could not save the rule: ${response?.error}`);
+      log(`Saved picked rule: ${JSON.stringify(selectors)}`);
+    } catch (error) {
+      console.error('[OneClick Cookies] Element picker failed:', error);
+      picker.remove();
+    } finally {
+      elementPicker = null;
+    }
+  }
+
   /**
    * Notify background script about detected banner
    * @param {Object} detection
@@ -441,17 +1263,88 @@
     }
   }
 
+  /**
+   * Read and decode the current IAB TCF consent through the page bridge
+   * @returns {Promise<Object|null>} Decoded consent, or null without a TCF CMP
+   */
+  async function readTCFConsent() {
+    if (!pageBridge) return null;
+
+    const tcData = await pageBridge.call('getTCData');
+    if (!tcData?.tcString) return null;
+
+    try {
+      const decoded = window.TCStringDecoder.decode(tcData.tcString);
+      return {
+        tcString: tcData.tcString,
+        gdprApplies: tcData.gdprApplies,
+        cmpId: decoded.cmpId,
+        lastUpdated: decoded.lastUpdated,
+        purposes: {
+          consents: decoded.purposeConsents,
+          legitimateInterests: decoded.purposeLegitimateInterests
+        },
+        vendors: {
+          consents: decoded.vendorConsents,
+          legitimateInterests: decoded.vendorLegitimateInterests
+        },
+        specialFeatureOptIns: decoded.specialFeatureOptIns
+      };
+    } catch (error) {
+      log(`Failed to decode TC string: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Wait for the CMP to store a TC string different from the one seen before handling
+   * @param {Object|null} before - Consent read before handling
+   * @param {number} timeout - Milliseconds
+   * @returns {Promise<Object|null>} Latest consent read
+   */
+  async function waitForTCFUpdate(before, timeout = 3000) {
+    const deadline = Date.now() + timeout;
+    let latest = await readTCFConsent();
+
+    while (Date.now() < deadline && (!latest || latest.tcString === before?.tcString)) {
+      await sleep(300);
+      latest = await readTCFConsent();
+    }
+
+    return latest;
+  }
+
   /**
    * Notify background script about handled banner
-   * @param {string} action - 'accept' or 'deny'
+   * @param {Object} detection - Detection result
+   * @param {string} action - 'accept', 'deny', 'custom' or 'hide'
+   * @param {Object|null} consentBefore - TCF consent read before handling
+   * @param {Object} outcome - Result of runStrategyChain
    */
-  async function notifyBannerHandled(action) {
+  async function notifyBannerHandled(detection, action, consentBefore = null, outcome = { success: true }) {
     try {
+      // Cosmetic hiding records no consent, so there is nothing to wait for
+      let consentAfter = null;
+      if (outcome.strategy !== 'cosmetic') {
+        consentAfter = outcome.success ? await waitForTCFUpdate(consentBefore) : await readTCFConsent();
+      }
+      if (consentAfter) {
+        log(`TCF consent after ${action}: purposes ${consentAfter.purposes.consents.join(',') || 'none'}`);
+      }
+
       await chrome.runtime.sendMessage({
         action: 'bannerHandled',
         domain: window.location.hostname,
         handledAction: action,
-        timestamp: Date.now()
+        success: outcome.success,
+        strategy: outcome.strategy || null,
+        reason: outcome.reason || null,
+        denyFallback: outcome.denyFallback || null,
+        cmpName: detection?.cmpName || null,
+        detectionType: detection?.type || null,
+        button: outcome.button || null,
+        timestamp: Date.now(),
+        tcf: consentAfter ? { before: consentBefore, after: consentAfter } : null
       });
     } catch (error) {
       // Ignore errors if background script is not ready
@@ -477,10 +1370,6 @@
     }
   }
 
-  // Initialize when DOM is ready
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
-  } else {
-    init();
-  }
+  // Start immediately; init waits for the DOM after pre-hiding
+  init();
 })();
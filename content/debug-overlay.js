@@ -0,0 +1,324 @@
+/**
+ * Debug Overlay
+ * In debug mode, outlines the detected banner, its backdrop and the buttons
+ * that would be clicked, and lists every detection strategy's result in a
+ * floating panel
+ */
+
+class DebugOverlay {
+  constructor() {
+    this.host = null;
+    this.root = null;
+    this.outlines = []; // Items of `{ element, box }`
+    this.frame = null;
+    this.lastOutcome = null; // Kept after the banner is gone and detection finds nothing
+
+    this.schedulePosition = this.schedulePosition.bind(this);
+  }
+
+  /**
+   * Show a detection and how it would be handled
+   * @param {Object} info
+   * @param {Object|null} info.detection - Result of detect()
+   * @param {Array<Object>} info.report - Every strategy's result and the banners it had rejected, from detector.lastReport
+   * @param {string} info.decision - What the extension does on this page and why
+   * @param {Array<string>} info.languages - Language packs in use, most likely first
+   * @param {string} info.action - Action the strategies and buttons are for
+   * @param {Array<string>} info.strategies - Names of the strategies that would run, in order
+   * @param {Array<Object>} info.buttons - Items of `{ type, element, via, alternatives }`, alternatives
+   *   are the classifier's top `{ element, score, reasons }` when the button was picked by text
+   * @param {Object|null} info.outcome - Outcome of the strategy chain once handled
+   */
+  render(info) {
+    this.ensureHost();
+    if (info.outcome) this.lastOutcome = info.outcome;
+
+    const targets = [];
+    if (info.detection) {
+      targets.push({ element: info.detection.banner, label: `banner (${info.detection.type})`, color: '#667eea' });
+      if (info.detection.backdrop) {
+        targets.push({ element: info.detection.backdrop, label: 'backdrop', color: '#f59e0b' });
+      }
+      if (info.detection.shadowHost) {
+        targets.push({ element: info.detection.shadowHost, label: 'shadow host', color: '#8b5cf6' });
+      }
+    }
+    for (const button of info.buttons || []) {
+      targets.push({
+        element: button.element,
+        label: `${button.type} button (${button.via})`,
+        color: button.type === 'accept' ? '#10b981' : '#ef4444'
+      });
+    }
+
+    this.renderOutlines(targets);
+    this.renderPanel(info);
+    this.position();
+  }
+
+  /**
+   * Remove the overlay from the page
+   */
+  remove() {
+    window.removeEventListener('scroll', this.schedulePosition, true);
+    window.removeEventListener('resize', this.schedulePosition);
+    if (this.host) {
+      this.host.remove();
+      this.host = null;
+      this.root = null;
+    }
+    this.outlines = [];
+  }
+
+  /**
+   * Create the shadow root that holds outlines and panel, out of reach of page styles
+   */
+  ensureHost() {
+    if (this.host?.isConnected) return;
+
+    this.host = document.createElement('oneclick-cookies-debug');
+    this.root = this.host.attachShadow({ mode: 'closed' });
+    this.root.innerHTML = `
+      <style>
+        .outline {
+          position: fixed;
+          z-index: 2147483646;
+          pointer-events: none;
+          border: 2px dashed;
+          box-sizing: border-box;
+        }
+        .outline-label {
+          position: absolute;
+          top: -18px;
+          left: -2px;
+          padding: 1px 4px;
+          color: white;
+          font: 11px monospace;
+          white-space: nowrap;
+        }
+        .panel {
+          position: fixed;
+          z-index: 2147483647;
+          right: 12px;
+          bottom: 12px;
+          width: 420px;
+          max-height: 50vh;
+          overflow-y: auto;
+          padding: 10px 12px;
+          border-radius: 8px;
+          background: rgba(17, 24, 39, 0.95);
+          color: #e5e7eb;
+          font: 11px/1.4 monospace;
+          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+        }
+        .panel h1 { display: flex; justify-content: space-between; margin: 0 0 6px; font-size: 12px; color: white; }
+        .panel h2 { margin: 8px 0 2px; font-size: 11px; color: #9ca3af; text-transform: uppercase; }
+        .panel button { border: none; background: none; color: #9ca3af; font: inherit; cursor: pointer; }
+        .row { padding: 2px 0; border-bottom: 1px solid #374151; }
+        .chosen { color: #a5b4fc; }
+        .miss { color: #6b7280; }
+        .reason { padding-left: 12px; color: #9ca3af; word-break: break-all; }
+        .alternative { padding-left: 24px; color: #6b7280; word-break: break-all; }
+        .alternative.chosen { color: #a5b4fc; }
+        .success { color: #34d399; }
+        .failure { color: #f87171; }
+      </style>
+      <div class="outlines"></div>
+      <div class="panel"></div>
+    `;
+    document.documentElement.appendChild(this.host);
+
+    window.addEventListener('scroll', this.schedulePosition, true);
+    window.addEventListener('resize', this.schedulePosition);
+  }
+
+  /**
+   * @param {Array<Object>} targets - Items of `{ element, label, color }`
+   */
+  renderOutlines(targets) {
+    const container = this.root.querySelector('.outlines');
+    container.textContent = '';
+    this.outlines = [];
+
+    for (const target of targets) {
+      if (!target.element) continue;
+
+      const box = DebugOverlay.createElement('div', 'outline');
+      box.style.borderColor = target.color;
+      const label = DebugOverlay.createElement('span', 'outline-label', target.label);
+      label.style.background = target.color;
+      box.appendChild(label);
+
+      container.appendChild(box);
+      this.outlines.push({ element: target.element, box: box });
+    }
+  }
+
+  /**
+   * @param {Object} info - See render()
+   */
+  renderPanel(info) {
+    const panel = this.root.querySelector('.panel');
+    panel.textContent = '';
+
+    const title = DebugOverlay.createElement('h1', null, 'OneClick Cookies debug');
+    const close = DebugOverlay.createElement('button', null, '×');
+    close.title = 'Hide until the next detection';
+    close.addEventListener('click', () => this.remove());
+    title.appendChild(close);
+    panel.append(title, DebugOverlay.createElement('div', null, info.decision));
+    if (info.languages?.length > 0) {
+      panel.appendChild(DebugOverlay.createElement('div', null, `Languages: ${info.languages.join(', ')}`));
+    }
+
+    panel.appendChild(DebugOverlay.createElement('h2', null, 'Detection'));
+    for (const { strategy, result, rejected } of info.report || []) {
+      const chosen = result && result === info.detection;
+      const row = DebugOverlay.createElement('div', chosen ? 'row chosen' : result ? 'row' : 'row miss');
+      row.appendChild(DebugOverlay.createElement('div', null,
+        `${chosen ? '★' : ' '} ${strategy}: ${result ? `confidence ${result.confidence.toFixed(2)}` : 'no match'}`
+      ));
+      if (result) {
+        for (const reason of DebugOverlay.getReasons(result)) {
+          row.appendChild(DebugOverlay.createElement('div', 'reason', reason));
+        }
+      }
+      for (const { banner, evidence } of rejected || []) {
+        row.appendChild(DebugOverlay.createElement('div', 'reason failure',
+          `rejected ${DebugOverlay.describeElement(banner)}, evidence ${evidence.score.toFixed(2)}: ${DebugOverlay.describeSignals(evidence)}`
+        ));
+      }
+      panel.appendChild(row);
+    }
+
+    if (info.detection?.evidence) {
+      const evidence = info.detection.evidence;
+      panel.appendChild(DebugOverlay.createElement('h2', null, `Evidence (${evidence.score.toFixed(2)})`));
+      for (const { signal, weight } of evidence.signals) {
+        panel.appendChild(DebugOverlay.createElement('div', weight < 0 ? 'reason failure' : 'reason',
+          `${weight > 0 ? '+' : ''}${weight.toFixed(2)} ${signal}`
+        ));
+      }
+    }
+
+    if (info.detection) {
+      panel.appendChild(DebugOverlay.createElement('h2', null, `Handling (${info.action})`));
+      panel.appendChild(DebugOverlay.createElement('div', null,
+        info.strategies?.length > 0 ? info.strategies.join(' → ') : 'No strategies'
+      ));
+      for (const button of info.buttons || []) {
+        panel.appendChild(DebugOverlay.createElement('div', 'reason',
+          `${button.type}: ${button.element ? DebugOverlay.describeElement(button.element) : 'none'} via ${button.via}`
+        ));
+        for (const candidate of button.alternatives || []) {
+          const text = (candidate.element.textContent || candidate.element.value || '').replace(/\s+/g, ' ').trim().slice(0, 40);
+          panel.appendChild(DebugOverlay.createElement('div', candidate.element === button.element ? 'alternative chosen' : 'alternative',
+            `${candidate.score.toFixed(2)} ${DebugOverlay.describeElement(candidate.element)} "${text}": ${candidate.reasons.join(', ')}`
+          ));
+        }
+      }
+    }
+
+    if (this.lastOutcome) {
+      const outcome = this.lastOutcome;
+      panel.appendChild(DebugOverlay.createElement('h2', null, 'Last outcome'));
+      panel.appendChild(DebugOverlay.createElement('div', outcome.success ? 'success' : 'failure',
+        `${outcome.success ? '✓' : '✗'} ${outcome.strategy || 'none'}: ${outcome.reason}`
+      ));
+      for (const attempt of outcome.attempts || []) {
+        panel.appendChild(DebugOverlay.createElement('div', 'reason', `${attempt.strategy}: ${attempt.result}`));
+      }
+    }
+  }
+
+  /**
+   * Position outlines on the next frame, at most once per frame
+   */
+  schedulePosition() {
+    if (this.frame) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.position();
+    });
+  }
+
+  /**
+   * Move every outline over its element, hiding those no longer on the page
+   */
+  position() {
+    for (const { element, box } of this.outlines) {
+      const rect = element.isConnected ? element.getBoundingClientRect() : null;
+      if (!rect || rect.width === 0 || rect.height === 0) {
+        box.style.display = 'none';
+        continue;
+      }
+
+      Object.assign(box.style, {
+        display: 'block',
+        top: `${rect.top}px`,
+        left: `${rect.left}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`
+      });
+    }
+  }
+
+  /**
+   * Why a strategy matched, from the fields of its result
+   * @param {Object} result - Detection result
+   * @returns {Array<string>}
+   */
+  static getReasons(result) {
+    const reasons = [];
+    if (result.cmpName) reasons.push(`CMP ${result.cmpName}`);
+    if (result.selector) reasons.push(`selector ${result.selector}`);
+    if (result.role) reasons.push(`role="${result.role}"`);
+    if (result.matchedKeywords?.length > 0) reasons.push(`keywords: ${result.matchedKeywords.join(', ')}`);
+    if (result.reason) reasons.push(`via ${result.reason}`);
+    if (result.backdrop) reasons.push(`backdrop ${DebugOverlay.describeElement(result.backdrop)}`);
+    if (result.shadowHost) reasons.push(`shadow host ${DebugOverlay.describeElement(result.shadowHost)}`);
+    reasons.push(`banner ${DebugOverlay.describeElement(result.banner)}`);
+    return reasons;
+  }
+
+  /**
+   * @param {Object} evidence - Banner classifier evidence
+   * @returns {string} e.g. `email field (-0.40), newsletter "subscribe" (-0.30)`
+   */
+  static describeSignals(evidence) {
+    return evidence.signals.map(({ signal, weight }) => `${signal} (${weight > 0 ? '+' : ''}${weight.toFixed(2)})`).join(', ');
+  }
+
+  /**
+   * @param {Element} element
+   * @returns {string} e.g. `div#consent.banner.bottom`
+   */
+  static describeElement(element) {
+    if (!element) return '-';
+
+    let description = element.tagName.toLowerCase();
+    if (element.id) description += `#${element.id}`;
+    // className is an SVGAnimatedString on SVG elements
+    const classes = (element.getAttribute('class') || '').trim();
+    if (classes) {
+      description += `.${classes.split(/\s+/).slice(0, 3).join('.')}`;
+    }
+    return description;
+  }
+
+  /**
+   * @param {string} tag
+   * @param {string|null} className
+   * @param {string} text
+   * @returns {Element}
+   */
+  static createElement(tag, className = null, text = '') {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    element.textContent = text;
+    return element;
+  }
+}
+
+// Make available globally
+window.DebugOverlay = DebugOverlay;
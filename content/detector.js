@@ -1,6 +1,11 @@
 /**
  * Cookie Consent Banner Detector
  * Implements multi-layered detection strategy for identifying consent banners
+ *
+ * Structural strategies (overlays, backdrops, shadow DOM, iframes) do not walk
+ * the whole document on every detect(). The detector keeps sets of candidate
+ * elements that are filled by scanning the subtrees reported by the page's
+ * MutationObserver in idle time, and detect() only looks at those.
  */
 
 class ConsentDetector {
@@ -10,6 +15,35 @@ class ConsentDetector {
     this.detectionCache = new Map();
     this.lastDetectionTime = 0;
     this.cacheTimeout = 2000; // Cache results for 2 seconds
+    this.lastReport = []; // Every strategy's result from the last detect(), for the debug overlay
+
+    // Incremental scanning
+    this.overlaySelector = 'div, section, aside, header, footer, [role="dialog"], [role="alertdialog"]';
+    this.watchedAttributes = ['class', 'style', 'hidden', 'open', 'aria-hidden'];
+    this.watchSelector = null; // Elements whose appearance warrants a new detect()
+    this.candidates = new Set(); // Positioned elements that may be overlays or backdrops
+    this.shadowHosts = new Set();
+    this.iframes = new Set();
+    this.iframeResults = new WeakMap(); // iframe -> detectInIframes verdict until it reloads
+    this.styleCache = new WeakMap(); // element -> { position, zIndex }
+    this.visibilityCache = null; // element -> boolean, only during one detect() pass
+    this.evidenceCache = null; // banner -> evidence, only during one detect() pass
+    this.scanQueue = []; // Items of `{ root, subtree, fresh, walker }`
+    this.queuedRoots = new Set();
+    this.scanScheduled = false;
+    this.scanChanged = false;
+    this.scanBudget = 10; // Milliseconds per slice when the idle callback timed out
+    this.scanWaiters = []; // Resolvers of whenScanned()
+    this.onChange = null; // Called when scanning found something detect() should look at
+
+    // Compiled vocabulary, see text-matcher.js
+    this.keywordMatcher = null;
+    this.actionMatcher = null;
+    this.buttonMatchers = new Map(); // button type -> TextMatcher
+    this.dialogMatchers = new Map(); // non-consent dialog kind -> TextMatcher
+
+    // Tells consent banners from newsletter popups, login walls, age gates and chat widgets
+    this.bannerClassifier = null;
   }
 
   /**
@@ -18,6 +52,302 @@ class ConsentDetector {
    */
   async init(patterns) {
     this.patterns = patterns;
+
+    const keywords = patterns?.keywords
+      ? Object.values(patterns.keywords).flat()
+      : ['consent', 'cookie', 'privacy', 'gdpr', 'tracking', 'data protection'];
+    // Keywords also match inflected and compound words, e.g. "cookies", "Datenschutzerklärung"
+    this.keywordMatcher = new TextMatcher(keywords, { prefixLength: 5 });
+
+    const actions = patterns?.buttonPatterns
+      ? [
+        ...Object.values(patterns.buttonPatterns.accept || {}).flat(),
+        ...Object.values(patterns.buttonPatterns.reject || {}).flat()
+      ]
+      : ['accept', 'reject', 'agree', 'disagree', 'allow', 'deny', 'ok', 'decline', 'refuse'];
+    this.actionMatcher = new TextMatcher(actions);
+    this.buttonMatchers.clear();
+    this.dialogMatchers.clear();
+
+    this.bannerClassifier = new BannerClassifier({
+      keywordMatcher: this.keywordMatcher,
+      getDialogMatcher: (kind) => this.getDialogMatcher(kind),
+      buttonClassifier: new ButtonClassifier({
+        getMatcher: (type) => this.getButtonMatcher(type),
+        isVisible: (element) => this.isVisible(element)
+      })
+    });
+
+    const selectors = [
+      ...(patterns?.knownCMPs || []).flatMap(cmp => cmp.selectors?.banner || []),
+      ...(patterns?.cssPatterns?.banner || []),
+      ...['dialog', 'alertdialog', 'region', 'banner', 'complementary'].map(role => `[role="${role}"]`)
+    ];
+    // Custom rules may carry selectors the browser rejects
+    const valid = selectors.filter(selector => {
+      try {
+        document.createDocumentFragment().querySelector(selector);
+        return true;
+      } catch (error) {
+        this.log(`Ignoring invalid selector: ${selector}`);
+        return false;
+      }
+    });
+    this.watchSelector = valid.length > 0 ? valid.join(', ') : null;
+  }
+
+  /**
+   * Queue a subtree for scanning in idle time
+   * Stylesheets in it that are still loading trigger a restyle() when they load.
+   * @param {Element} root
+   */
+  scan(root) {
+    this.queueScan(root, true, false);
+    this.watchStylesheets(root, false);
+  }
+
+  /**
+   * Resolve once the scan queue is empty
+   * @returns {Promise}
+   */
+  whenScanned() {
+    if (this.scanQueue.length === 0 && !this.scanScheduled) return Promise.resolve();
+    return new Promise(resolve => this.scanWaiters.push(resolve));
+  }
+
+  /**
+   * Re-check the position of every element after the page's styles changed
+   * A stylesheet that applies late, or a class toggled on `<html>` or `<body>`,
+   * can turn elements scanned before it into overlays.
+   */
+  restyle() {
+    this.styleCache = new WeakMap();
+
+    const root = document.documentElement;
+    const queued = this.scanQueue.find(item => item.root === root);
+    if (queued) {
+      // Start over, elements walked so far were classified with the old styles
+      queued.walker = null;
+      queued.subtree = true;
+    } else {
+      this.queueScan(root, true, true);
+    }
+  }
+
+  /**
+   * Restyle when the stylesheets in a subtree apply
+   * A `<style>` applies when it is inserted, a stylesheet `<link>` once it loads.
+   * @param {Element} root
+   * @param {boolean} inserted - The subtree was just added, so its `<style>` elements apply now
+   */
+  watchStylesheets(root, inserted) {
+    const sheets = root.matches(ConsentDetector.STYLESHEETS) ? [root] : [];
+    sheets.push(...root.querySelectorAll(ConsentDetector.STYLESHEETS));
+
+    let applied = false;
+    for (const sheet of sheets) {
+      if (sheet.tagName === 'LINK') {
+        if (!sheet.sheet) sheet.addEventListener('load', () => this.restyle(), { once: true });
+      } else {
+        applied = true;
+      }
+    }
+    if (applied && inserted) this.restyle();
+  }
+
+  /**
+   * Queue the parts of the page that MutationObserver records touched
+   * Added subtrees are scanned; restyled elements are re-checked, with their
+   * subtree when a class change may have restyled descendants.
+   * @param {Array<MutationRecord>} records
+   */
+  handleMutations(records) {
+    for (const record of records) {
+      if (record.type === 'childList') {
+        if (record.target.tagName === 'STYLE') {
+          // CSS-in-JS libraries rewrite the text of their style elements
+          this.restyle();
+          continue;
+        }
+        for (const node of record.addedNodes) {
+          if (node.nodeType === Node.ELEMENT_NODE) {
+            this.queueScan(node, true, false);
+            this.watchStylesheets(node, true);
+          }
+        }
+        if (Array.from(record.removedNodes).some(node => node.matches?.(ConsentDetector.STYLESHEETS))) {
+          this.restyle();
+        }
+        continue;
+      }
+
+      const element = record.target;
+      if (element === document.body || element === document.documentElement) {
+        // Page-wide class toggles show or hide known candidates, and through
+        // rules like `body.cookie-open #banner` can turn any descendant into one
+        if (record.attributeName === 'class') this.restyle();
+        if (this.candidates.size > 0) this.scanChanged = true;
+      } else if (this.candidates.has(element) || this.shadowHosts.has(element)) {
+        this.scanChanged = true;
+        this.queueScan(element, false, true);
+      } else if (record.attributeName === 'class') {
+        this.queueScan(element, true, true);
+      } else if (record.attributeName === 'style') {
+        // Inline styles only change the element's own position
+        this.queueScan(element, false, true);
+      }
+    }
+
+    this.scheduleScan();
+  }
+
+  /**
+   * @param {Element} root
+   * @param {boolean} subtree - Also scan descendants
+   * @param {boolean} fresh - Ignore cached style verdicts
+   */
+  queueScan(root, subtree, fresh) {
+    if (this.queuedRoots.has(root)) return;
+    this.queuedRoots.add(root);
+    this.scanQueue.push({ root: root, subtree: subtree, fresh: fresh, walker: null });
+    this.scheduleScan();
+  }
+
+  /**
+   * Process the scan queue in idle callbacks
+   */
+  scheduleScan() {
+    if (this.scanScheduled || (this.scanQueue.length === 0 && !this.scanChanged)) return;
+    this.scanScheduled = true;
+    requestIdleCallback((deadline) => {
+      this.scanScheduled = false;
+      this.processScanQueue(deadline);
+    }, { timeout: 1000 });
+  }
+
+  /**
+   * Scan queued subtrees until the idle period or time budget runs out
+   * @param {IdleDeadline} deadline
+   */
+  processScanQueue(deadline) {
+    const start = performance.now();
+    // A timed-out callback has no idle time left; do a bounded slice anyway
+    const hasTime = () => deadline.didTimeout
+      ? performance.now() - start < this.scanBudget
+      : deadline.timeRemaining() > 1;
+
+    while (this.scanQueue.length > 0 && hasTime()) {
+      const item = this.scanQueue[0];
+
+      if (!item.walker) {
+        if (!item.root.isConnected) {
+          this.finishScanItem();
+          continue;
+        }
+        this.classify(item.root, item.fresh);
+        if (!item.subtree) {
+          this.finishScanItem();
+          continue;
+        }
+        item.walker = document.createTreeWalker(item.root, NodeFilter.SHOW_ELEMENT);
+      }
+
+      const node = item.walker.nextNode();
+      if (node) {
+        this.classify(node, item.fresh);
+      } else {
+        this.finishScanItem();
+      }
+    }
+
+    if (this.scanChanged) {
+      this.scanChanged = false;
+      this.clearCache();
+      if (this.onChange) this.onChange();
+    }
+    this.scheduleScan();
+
+    if (this.scanQueue.length === 0) {
+      for (const resolve of this.scanWaiters.splice(0)) resolve();
+    }
+  }
+
+  /**
+   * Drop the finished item from the scan queue
+   */
+  finishScanItem() {
+    const item = this.scanQueue.shift();
+    this.queuedRoots.delete(item.root);
+  }
+
+  /**
+   * Record an element in the candidate sets
+   * @param {Element} element
+   * @param {boolean} fresh - Ignore its cached style verdict
+   */
+  classify(element, fresh) {
+    if (element.shadowRoot && !this.shadowHosts.has(element)) {
+      this.shadowHosts.add(element);
+      this.scanChanged = true;
+    }
+
+    if (element.tagName === 'IFRAME' && !this.iframes.has(element)) {
+      this.iframes.add(element);
+      this.scanChanged = true;
+      element.addEventListener('load', () => {
+        this.iframeResults.delete(element);
+        this.scanChanged = true;
+        this.scheduleScan();
+      });
+    }
+
+    if (element.matches(this.overlaySelector)) {
+      if (fresh) this.styleCache.delete(element);
+      const { position, zIndex } = this.getStyleInfo(element);
+      const positioned = ['fixed', 'sticky', 'absolute'].includes(position) || zIndex > 100;
+
+      if (positioned && !this.candidates.has(element)) {
+        this.candidates.add(element);
+        this.scanChanged = true;
+      } else if (!positioned) {
+        this.candidates.delete(element);
+      }
+    }
+
+    if (this.watchSelector && element.matches(this.watchSelector)) {
+      this.scanChanged = true;
+    }
+  }
+
+  /**
+   * Cached position and z-index of an element
+   * Invalidated by handleMutations when the element or an ancestor's class changes,
+   * and for every element by restyle() when a stylesheet applies or the class of
+   * `<html>` or `<body>` changes.
+   * @param {Element} element
+   * @returns {Object} `{ position, zIndex }`, zIndex is 0 for `auto`
+   */
+  getStyleInfo(element) {
+    let info = this.styleCache.get(element);
+    if (!info) {
+      const style = window.getComputedStyle(element);
+      const zIndex = parseInt(style.zIndex, 10);
+      info = { position: style.position, zIndex: isNaN(zIndex) ? 0 : zIndex };
+      this.styleCache.set(element, info);
+    }
+    return info;
+  }
+
+  /**
+   * Connected elements of a candidate set, pruning removed ones
+   * @param {Set<Element>} set
+   * @returns {Array<Element>}
+   */
+  getConnected(set) {
+    for (const element of set) {
+      if (!element.isConnected) set.delete(element);
+    }
+    return Array.from(set);
   }
 
   /**
@@ -40,18 +370,26 @@ class ConsentDetector {
       return this.detectionCache.get('last');
     }
 
-    const detectionResults = [
-      this.detectKnownCMP(),
-      this.detectByARIARoles(),
-      this.detectByKeywords(),
-      this.detectByCSSPatterns(),
-      this.detectByBackdrop(),
-      this.detectGenericBanners(),
-      this.detectInShadowDOM()
-    ];
+    // Visibility is checked many times per element within a pass
+    this.visibilityCache = new Map();
+    this.evidenceCache = new Map();
+    try {
+      this.lastReport = [
+        this.runStrategy('knownCMP', this.detectKnownCMP),
+        this.runStrategy('aria', this.detectByARIARoles),
+        this.runStrategy('keyword', this.detectByKeywords),
+        this.runStrategy('cssPattern', this.detectByCSSPatterns),
+        this.runStrategy('backdrop', this.detectByBackdrop),
+        this.runStrategy('generic', this.detectGenericBanners),
+        this.runStrategy('shadowDOM', this.detectInShadowDOM)
+      ];
+    } finally {
+      this.visibilityCache = null;
+      this.evidenceCache = null;
+    }
 
     // Filter out null results and sort by confidence
-    const validResults = detectionResults.filter(r => r !== null);
+    const validResults = this.lastReport.map(entry => entry.result).filter(r => r !== null);
     if (validResults.length === 0) {
       this.detectionCache.set('last', null);
       this.lastDetectionTime = now;
@@ -69,6 +407,53 @@ class ConsentDetector {
     return result;
   }
 
+  /**
+   * Run one strategy, passing over dialogs the banner classifier rejects
+   * Strategies skip rejected banners, so a retry can still find a consent
+   * banner behind a newsletter popup.
+   * @param {string} name - Strategy name for the report
+   * @param {Function} strategy - Detection method
+   * @returns {Object} Report entry `{ strategy, result, rejected }`, rejected are `{ banner, evidence }`
+   */
+  runStrategy(name, strategy) {
+    const rejected = [];
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const result = strategy.call(this);
+      if (!result) break;
+
+      if (!this.evidenceCache.has(result.banner)) {
+        this.evidenceCache.set(result.banner, this.bannerClassifier.assess(result));
+      }
+      const evidence = this.evidenceCache.get(result.banner);
+      if (!this.bannerClassifier.rejects(evidence)) {
+        result.evidence = evidence;
+        return { strategy: name, result: result, rejected: rejected };
+      }
+
+      this.log(`Rejected ${name} detection (evidence ${evidence.score}): ${evidence.signals.map(s => s.signal).join(', ')}`);
+      rejected.push({ banner: result.banner, evidence: evidence });
+    }
+
+    return { strategy: name, result: null, rejected: rejected };
+  }
+
+  /**
+   * Whether an element is, or is inside or around, a banner rejected in this pass
+   * @param {Element} element
+   * @returns {boolean}
+   */
+  isRejected(element) {
+    if (!this.evidenceCache) return false;
+
+    for (const [banner, evidence] of this.evidenceCache) {
+      if (this.bannerClassifier.rejects(evidence) && (banner.contains(element) || element.contains(banner))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
   /**
    * Detect known CMPs using selector database
    * @returns {Object|null} Detection result
@@ -86,8 +471,13 @@ class ConsentDetector {
             type: 'knownCMP',
             cmpName: cmp.name,
             banner: banner,
+            selector: selector,
             acceptSelectors: cmp.selectors.acceptButton,
             rejectSelectors: cmp.selectors.rejectButton,
+            api: cmp.api || null,
+            actions: cmp.actions || null,
+            consentStorage: cmp.consentStorage || null,
+            hideSelectors: cmp.hide || null,
             confidence: 0.95
           };
         }
@@ -107,11 +497,10 @@ class ConsentDetector {
       const elements = document.querySelectorAll(`[role="${role}"]`);
       
       for (const element of elements) {
-        if (!this.isVisible(element)) continue;
+        if (!this.isVisible(element) || this.isRejected(element)) continue;
         
-        const text = (element.innerText || element.textContent || '').toLowerCase();
-        const ariaLabel = (element.getAttribute('aria-label') || '').toLowerCase();
-        const ariaDescribedBy = element.getAttribute('aria-describedby');
+        const text = element.innerText || element.textContent || '';
+        const ariaLabel = element.getAttribute('aria-label') || '';
         
         // Check for cookie/consent related ARIA labels
         const combinedText = text + ' ' + ariaLabel;
@@ -122,6 +511,7 @@ class ConsentDetector {
             type: 'aria',
             banner: element,
             role: role,
+            matchedKeywords: this.getMatchedKeywords(combinedText),
             confidence: 0.85
           };
         }
@@ -138,30 +528,13 @@ class ConsentDetector {
   detectByKeywords() {
     if (!this.patterns?.keywords) return null;
 
-    // Combine all keywords from all languages with weights
-    const allKeywords = [];
-    for (const lang in this.patterns.keywords) {
-      allKeywords.push(...this.patterns.keywords[lang]);
-    }
-
     // Find visible overlays with high z-index
     const overlays = this.findOverlays();
     
     for (const overlay of overlays) {
-      const text = (overlay.innerText || overlay.textContent || '').toLowerCase();
-      
-      // Count keyword matches with word boundary regex
-      let matchCount = 0;
-      let matchedKeywords = [];
-      
-      for (const keyword of allKeywords) {
-        // Use regex with word boundaries for more accurate matching
-        const regex = new RegExp('\\b' + keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '\\b', 'i');
-        if (regex.test(text)) {
-          matchCount++;
-          matchedKeywords.push(keyword);
-        }
-      }
+      const text = overlay.innerText || overlay.textContent || '';
+      const matchedKeywords = this.keywordMatcher.findAll(text);
+      const matchCount = matchedKeywords.length;
 
       // If we have 2+ keyword matches, likely a consent banner
       if (matchCount >= 2) {
@@ -190,7 +563,7 @@ class ConsentDetector {
     for (const selector of this.patterns.cssPatterns.banner) {
       const elements = document.querySelectorAll(selector);
       for (const element of elements) {
-        if (this.isVisible(element) && this.looksLikeBanner(element)) {
+        if (this.isVisible(element) && !this.isRejected(element) && this.looksLikeBanner(element)) {
           this.log(`Detected by CSS pattern: ${selector}`);
           return {
             type: 'cssPattern',
@@ -211,27 +584,19 @@ class ConsentDetector {
    */
   detectByBackdrop() {
     // Find elements that look like backdrops (full-screen overlays)
-    const backdrops = document.querySelectorAll('div, section, aside');
+    const backdrops = this.getConnected(this.candidates).filter(element =>
+      element.matches('div, section, aside') &&
+      ['fixed', 'absolute'].includes(this.getStyleInfo(element).position)
+    );
     
     for (const backdrop of backdrops) {
       if (!this.isVisible(backdrop)) continue;
       
-      const style = window.getComputedStyle(backdrop);
-      const rect = backdrop.getBoundingClientRect();
-      
-      // Check if it's a backdrop (large, semi-transparent, covers viewport)
-      const isBackdropStyle = (
-        (style.position === 'fixed' || style.position === 'absolute') &&
-        rect.width >= window.innerWidth * 0.8 &&
-        rect.height >= window.innerHeight * 0.8 &&
-        (parseFloat(style.opacity) < 1 || style.backgroundColor.includes('rgba'))
-      );
-      
-      if (isBackdropStyle) {
+      if (this.isBackdropElement(backdrop)) {
         // Look for consent content in children
         const children = backdrop.querySelectorAll('*');
         for (const child of children) {
-          if (this.isVisible(child) && this.hasConsent(child)) {
+          if (this.isVisible(child) && !this.isRejected(child) && this.hasConsent(child)) {
             this.log('Detected via backdrop method');
             return {
               type: 'backdrop',
@@ -247,12 +612,59 @@ class ConsentDetector {
     return null;
   }
 
+  /**
+   * Check if an element is styled like a backdrop (large, semi-transparent, covers viewport)
+   * @param {Element} element
+   * @returns {boolean}
+   */
+  isBackdropElement(element) {
+    const style = window.getComputedStyle(element);
+    const rect = element.getBoundingClientRect();
+
+    return (
+      (style.position === 'fixed' || style.position === 'absolute') &&
+      rect.width >= window.innerWidth * 0.8 &&
+      rect.height >= window.innerHeight * 0.8 &&
+      (parseFloat(style.opacity) < 1 || style.backgroundColor.includes('rgba'))
+    );
+  }
+
+  /**
+   * Find the backdrop that dims the page behind a banner
+   * Checks the banner's ancestors and their text-free siblings
+   * @param {Element} element - Banner element
+   * @returns {Element|null}
+   */
+  findBackdropFor(element) {
+    let current = element;
+
+    for (let depth = 0; depth < 5 && current?.parentElement; depth++) {
+      const parent = current.parentElement;
+
+      for (const sibling of parent.children) {
+        if (sibling === current || !this.isVisible(sibling)) continue;
+        const hasText = (sibling.textContent || '').trim().length > 0;
+        if (!hasText && this.isBackdropElement(sibling)) {
+          return sibling;
+        }
+      }
+
+      if (parent === document.body || parent === document.documentElement) break;
+      if (this.isVisible(parent) && this.isBackdropElement(parent)) {
+        return parent;
+      }
+      current = parent;
+    }
+
+    return null;
+  }
+
   /**
    * Detect banners in Shadow DOM
    * @returns {Object|null} Detection result
    */
   detectInShadowDOM() {
-    const shadowHosts = this.findShadowHosts();
+    const shadowHosts = this.getConnected(this.shadowHosts);
     
     for (const host of shadowHosts) {
       if (host.shadowRoot) {
@@ -298,7 +710,7 @@ class ConsentDetector {
 
     // Also check iframes for banners
     const iframeBanners = this.detectInIframes();
-    if (iframeBanners) {
+    if (iframeBanners && !this.isRejected(iframeBanners.element)) {
       potentialBanners.push({
         element: iframeBanners.element,
         confidence: iframeBanners.confidence,
@@ -332,24 +744,42 @@ class ConsentDetector {
    * @returns {boolean}
    */
   hasConsentKeywords(text) {
-    const lowerText = text.toLowerCase();
-    
-    if (this.patterns?.keywords) {
-      for (const lang in this.patterns.keywords) {
-        if (this.patterns.keywords[lang].some(k => {
-          const regex = new RegExp('\\b' + k.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '\\b', 'i');
-          return regex.test(lowerText);
-        })) {
-          return true;
-        }
-      }
-    } else {
-      // Fallback keywords
-      const fallbackKeywords = ['consent', 'cookie', 'privacy', 'gdpr', 'tracking', 'data protection'];
-      return fallbackKeywords.some(k => lowerText.includes(k));
+    return this.keywordMatcher.test(text);
+  }
+
+  /**
+   * Consent keywords found in a text, for debug output
+   * @param {string} text
+   * @returns {Array<string>}
+   */
+  getMatchedKeywords(text) {
+    return this.keywordMatcher.findAll(text);
+  }
+
+  /**
+   * Matcher for the texts of one button type from buttonPatterns
+   * @param {string} type - accept, reject, settings or save
+   * @returns {TextMatcher}
+   */
+  getButtonMatcher(type) {
+    if (!this.buttonMatchers.has(type)) {
+      const texts = Object.values(this.patterns?.buttonPatterns?.[type] || {}).flat();
+      this.buttonMatchers.set(type, new TextMatcher(texts));
     }
-    
-    return false;
+    return this.buttonMatchers.get(type);
+  }
+
+  /**
+   * Matcher for the wording of one kind of non-consent dialog from otherDialogs
+   * @param {string} kind - ageGate or newsletter
+   * @returns {TextMatcher}
+   */
+  getDialogMatcher(kind) {
+    if (!this.dialogMatchers.has(kind)) {
+      const texts = Object.values(this.patterns?.otherDialogs?.[kind] || {}).flat();
+      this.dialogMatchers.set(kind, new TextMatcher(texts, { prefixLength: 5 }));
+    }
+    return this.dialogMatchers.get(kind);
   }
 
   /**
@@ -368,7 +798,7 @@ class ConsentDetector {
    * @returns {boolean}
    */
   hasConsent(element) {
-    const text = (element.innerText || element.textContent || '').toLowerCase();
+    const text = element.innerText || element.textContent || '';
     return this.hasConsentKeywords(text) && this.hasActionButtons(element);
   }
 
@@ -380,29 +810,18 @@ class ConsentDetector {
   calculateBannerConfidence(element) {
     let confidence = 0.4; // Base confidence for overlay elements
 
-    const text = (element.innerText || element.textContent || '').toLowerCase();
+    const text = element.innerText || element.textContent || '';
     const buttons = element.querySelectorAll('button, a, [role="button"], input[type="button"], input[type="submit"]');
 
-    // Award points for consent-related keywords with word boundaries
+    // Award points for consent-related keywords
     let keywordMatches = 0;
     const highValueKeywords = ['gdpr', 'cookie consent', 'privacy policy', 'data protection'];
     
-    if (this.patterns?.keywords) {
-      const allKeywords = Object.values(this.patterns.keywords).flat();
-      for (const keyword of allKeywords) {
-        const regex = new RegExp('\\b' + keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '\\b', 'i');
-        if (regex.test(text)) {
-          keywordMatches++;
-          // Boost confidence for high-value keywords
-          if (highValueKeywords.some(hv => keyword.toLowerCase().includes(hv))) {
-            keywordMatches += 0.5;
-          }
-        }
-      }
-    } else {
-      const consentKeywords = ['consent', 'cookie', 'privacy', 'tracking', 'data protection', 'gdpr'];
-      for (const keyword of consentKeywords) {
-        if (text.includes(keyword)) keywordMatches++;
+    for (const keyword of this.keywordMatcher.findAll(text)) {
+      keywordMatches++;
+      // Boost confidence for high-value keywords
+      if (highValueKeywords.some(hv => keyword.toLowerCase().includes(hv))) {
+        keywordMatches += 0.5;
       }
     }
     
@@ -416,24 +835,10 @@ class ConsentDetector {
     }
 
     // Check for typical button text patterns with regex
-    const buttonTexts = Array.from(buttons).map(b => (b.textContent || b.innerText || '').toLowerCase()).join(' ');
-    let actionMatches = 0;
-    
-    if (this.patterns?.buttonPatterns) {
-      const allActions = [
-        ...Object.values(this.patterns.buttonPatterns.accept).flat(),
-        ...Object.values(this.patterns.buttonPatterns.reject).flat()
-      ];
-      for (const word of allActions) {
-        const regex = new RegExp('\\b' + word.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '\\b', 'i');
-        if (regex.test(buttonTexts)) actionMatches++;
-      }
-    } else {
-      const actionWords = ['accept', 'reject', 'agree', 'disagree', 'allow', 'deny', 'ok', 'decline', 'refuse'];
-      for (const word of actionWords) {
-        if (buttonTexts.includes(word)) actionMatches++;
-      }
-    }
+    // Each button separately, so phrases do not run across buttons
+    const actionMatches = new Set(
+      Array.from(buttons).flatMap(b => this.actionMatcher.findAll(b.textContent || b.innerText || ''))
+    ).size;
     
     confidence += Math.min(actionMatches * 0.06, 0.18);
 
@@ -465,12 +870,18 @@ class ConsentDetector {
    */
   detectInIframes() {
     try {
-      // Note: Can only access same-origin iframes
-      const iframes = document.querySelectorAll('iframe');
-      
-      for (const iframe of iframes) {
+      // Note: Can only access same-origin iframes. Each one is searched once per load;
+      // later changes inside it are picked up by the content script running in the frame.
+      for (const iframe of this.getConnected(this.iframes)) {
         if (!this.isVisible(iframe)) continue;
 
+        if (this.iframeResults.has(iframe)) {
+          const cached = this.iframeResults.get(iframe);
+          if (cached && !this.isRejected(cached.element)) return cached;
+          continue;
+        }
+        this.iframeResults.set(iframe, null);
+
         try {
           const iframeDoc = iframe.contentDocument || iframe.contentWindow?.document;
           if (!iframeDoc) continue;
@@ -480,19 +891,16 @@ class ConsentDetector {
           for (const element of elements) {
             if (!this.isVisible(element)) continue;
 
-            const text = (element.innerText || element.textContent || '').toLowerCase();
-            const hasConsent = text.includes('consent') || 
-                              text.includes('cookie') ||
-                              text.includes('privacy');
-
-            if (hasConsent && this.hasConsent(element)) {
+            if (this.hasConsent(element)) {
               this.log('Detected banner in iframe');
-              return {
+              const result = {
                 element: element,
                 confidence: 0.65,
                 iframe: iframe,
                 iframeDoc: iframeDoc
               };
+              this.iframeResults.set(iframe, result);
+              return result;
             }
           }
         } catch (e) {
@@ -515,24 +923,11 @@ class ConsentDetector {
   detectInShadowRoot(shadowRoot) {
     if (!this.patterns?.keywords) return null;
 
-    const allKeywords = [];
-    for (const lang in this.patterns.keywords) {
-      allKeywords.push(...this.patterns.keywords[lang]);
-    }
-
     const elements = shadowRoot.querySelectorAll('*');
     for (const element of elements) {
-      if (!this.isVisible(element)) continue;
-      
-      const text = element.innerText?.toLowerCase() || '';
-      let matchCount = 0;
+      if (!this.isVisible(element) || this.isRejected(element)) continue;
       
-      for (const keyword of allKeywords) {
-        const regex = new RegExp('\\b' + keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '\\b', 'i');
-        if (regex.test(text)) {
-          matchCount++;
-        }
-      }
+      const matchCount = this.keywordMatcher.count(element.innerText || '');
 
       if (matchCount >= 2 && this.hasActionButtons(element)) {
         return element;
@@ -554,14 +949,11 @@ class ConsentDetector {
    */
   findOverlays() {
     const overlays = [];
-    const elements = document.querySelectorAll('div, section, aside, header, footer, [role="dialog"], [role="alertdialog"]');
 
-    for (const element of elements) {
-      if (!this.isVisible(element)) continue;
+    for (const element of this.getConnected(this.candidates)) {
+      if (!this.isVisible(element) || this.isRejected(element)) continue;
       
-      const style = window.getComputedStyle(element);
-      const zIndex = parseInt(style.zIndex, 10);
-      const position = style.position;
+      const { position, zIndex } = this.getStyleInfo(element);
       const rect = element.getBoundingClientRect();
 
       // More sophisticated overlay detection
@@ -569,9 +961,9 @@ class ConsentDetector {
         // Fixed or sticky positioning (common for banners)
         (position === 'fixed' || position === 'sticky') ||
         // Absolute with high z-index
-        (position === 'absolute' && !isNaN(zIndex) && zIndex > 50) ||
+        (position === 'absolute' && zIndex > 50) ||
         // High z-index regardless of position
-        (!isNaN(zIndex) && zIndex > 100)
+        zIndex > 100
       );
 
       // Additional checks for typical banner characteristics
@@ -585,7 +977,7 @@ class ConsentDetector {
       if (isPotentialBanner) {
         overlays.push({
           element: element,
-          zIndex: isNaN(zIndex) ? 0 : zIndex,
+          zIndex: zIndex,
           position: position
         });
       }
@@ -604,30 +996,6 @@ class ConsentDetector {
     return overlays.map(o => o.element);
   }
 
-  /**
-   * Find elements with shadow DOM
-   * @returns {Array<Element>}
-   */
-  findShadowHosts() {
-    const hosts = [];
-    const walker = document.createTreeWalker(
-      document.body,
-      NodeFilter.SHOW_ELEMENT,
-      null,
-      false
-    );
-
-    let node = walker.nextNode();
-    while (node !== null) {
-      if (node.shadowRoot) {
-        hosts.push(node);
-      }
-      node = walker.nextNode();
-    }
-
-    return hosts;
-  }
-
   /**
    * Check if element is visible
    * @param {Element} element
@@ -635,14 +1003,19 @@ class ConsentDetector {
    */
   isVisible(element) {
     if (!element) return false;
+    if (this.visibilityCache?.has(element)) {
+      return this.visibilityCache.get(element);
+    }
 
     const style = window.getComputedStyle(element);
-    if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') {
-      return false;
+    let visible = false;
+    if (style.display !== 'none' && style.visibility !== 'hidden' && style.opacity !== '0') {
+      const rect = element.getBoundingClientRect();
+      visible = rect.width > 0 && rect.height > 0;
     }
 
-    const rect = element.getBoundingClientRect();
-    return rect.width > 0 && rect.height > 0;
+    if (this.visibilityCache) this.visibilityCache.set(element, visible);
+    return visible;
   }
 
   /**
@@ -683,5 +1056,8 @@ class ConsentDetector {
   }
 }
 
+// Elements that bring styles which may turn scanned elements into overlays
+ConsentDetector.STYLESHEETS = 'style, link[rel~="stylesheet"]';
+
 // Make available globally
 window.ConsentDetector = ConsentDetector;
@@ -0,0 +1,388 @@
+/**
+ * Element Picker
+ * Lets the user point at a banner and its accept and reject buttons, and
+ * builds selectors for them that survive page reloads
+ */
+
+class ElementPicker {
+  constructor() {
+    this.steps = [
+      { key: 'banner', prompt: 'Click the cookie banner', optional: false },
+      { key: 'acceptButton', prompt: 'Click the button that accepts cookies', optional: true },
+      { key: 'rejectButton', prompt: 'Click the button that rejects cookies', optional: true }
+    ];
+    this.stepIndex = 0;
+    this.picked = {};
+    this.hovered = null;
+    this.host = null;
+    this.highlight = null;
+    this.prompt = null;
+    this.resolve = null;
+    this.debugMode = false;
+
+    this.handleMove = this.handleMove.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+    this.handleKey = this.handleKey.bind(this);
+    this.swallow = this.swallow.bind(this);
+  }
+
+  /**
+   * Start picking
+   * @returns {Promise<Object|null>} `{ banner, acceptButton, rejectButton }` selectors, or null when cancelled
+   */
+  start() {
+    if (this.resolve) return Promise.resolve(null);
+
+    this.createOverlay();
+    window.addEventListener('mousemove', this.handleMove, true);
+    window.addEventListener('click', this.handleClick, true);
+    window.addEventListener('keydown', this.handleKey, true);
+    // Keep the page from reacting to the clicks that pick elements
+    for (const type of ['mousedown', 'mouseup', 'pointerdown', 'pointerup']) {
+      window.addEventListener(type, this.swallow, true);
+    }
+
+    this.showStep();
+    return new Promise(resolve => {
+      this.resolve = resolve;
+    });
+  }
+
+  /**
+   * Stop picking and remove all listeners
+   * @param {Object|null} result
+   */
+  finish(result) {
+    window.removeEventListener('mousemove', this.handleMove, true);
+    window.removeEventListener('click', this.handleClick, true);
+    window.removeEventListener('keydown', this.handleKey, true);
+    for (const type of ['mousedown', 'mouseup', 'pointerdown', 'pointerup']) {
+      window.removeEventListener(type, this.swallow, true);
+    }
+    this.highlight.style.display = 'none';
+
+    const resolve = this.resolve;
+    this.resolve = null;
+    if (!result) this.remove();
+    resolve(result);
+  }
+
+  /**
+   * Show a final message, then remove the overlay
+   * @param {string} message
+   */
+  showMessage(message) {
+    if (!this.prompt) return;
+    this.prompt.querySelector('.text').textContent = message;
+    this.prompt.querySelector('.buttons').hidden = true;
+    setTimeout(() => this.remove(), 4000);
+  }
+
+  /**
+   * Remove the overlay from the page
+   */
+  remove() {
+    if (this.host) {
+      this.host.remove();
+      this.host = null;
+    }
+  }
+
+  /**
+   * Build the highlight box and prompt in a closed shadow root, out of reach of page styles
+   */
+  createOverlay() {
+    this.host = document.createElement('oneclick-cookies-picker');
+    const root = this.host.attachShadow({ mode: 'closed' });
+    root.innerHTML = `
+      <style>
+        .highlight {
+          position: fixed;
+          z-index: 2147483647;
+          pointer-events: none;
+          border: 2px solid #667eea;
+          background: rgba(102, 126, 234, 0.15);
+          display: none;
+        }
+        .prompt {
+          position: fixed;
+          z-index: 2147483647;
+          top: 12px;
+          left: 50%;
+          transform: translateX(-50%);
+          padding: 10px 14px;
+          border-radius: 8px;
+          background: #1f2937;
+          color: white;
+          font: 13px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+        }
+        .hint { color: #9ca3af; font-size: 11px; margin-top: 4px; }
+        .buttons { margin-top: 8px; display: flex; gap: 6px; }
+        button {
+          padding: 4px 10px;
+          border: 1px solid #4b5563;
+          border-radius: 4px;
+          background: #374151;
+          color: white;
+          font: inherit;
+          cursor: pointer;
+        }
+      </style>
+      <div class="highlight"></div>
+      <div class="prompt">
+        <div class="text"></div>
+        <div class="hint">↑ selects the parent element · Esc cancels</div>
+        <div class="buttons">
+          <button class="skip">Skip</button>
+          <button class="cancel">Cancel</button>
+        </div>
+      </div>
+    `;
+
+    this.highlight = root.querySelector('.highlight');
+    this.prompt = root.querySelector('.prompt');
+    root.querySelector('.skip').addEventListener('click', () => this.nextStep());
+    root.querySelector('.cancel').addEventListener('click', () => this.finish(null));
+    document.documentElement.appendChild(this.host);
+  }
+
+  /**
+   * Update the prompt for the current step
+   */
+  showStep() {
+    const step = this.steps[this.stepIndex];
+    this.prompt.querySelector('.text').textContent =
+      `${this.stepIndex + 1}/${this.steps.length}: ${step.prompt}`;
+    this.prompt.querySelector('.skip').hidden = !step.optional;
+  }
+
+  /**
+   * Move to the next step, or finish after the last one
+   */
+  nextStep() {
+    this.stepIndex++;
+    this.hovered = null;
+    this.highlight.style.display = 'none';
+
+    if (this.stepIndex >= this.steps.length) {
+      this.finish(this.picked);
+    } else {
+      this.showStep();
+    }
+  }
+
+  /**
+   * @param {MouseEvent} event
+   */
+  handleMove(event) {
+    if (this.isOwnEvent(event)) return;
+    this.setHovered(event.target);
+  }
+
+  /**
+   * @param {MouseEvent} event
+   */
+  handleClick(event) {
+    if (this.isOwnEvent(event)) return;
+    event.preventDefault();
+    event.stopImmediatePropagation();
+
+    const element = this.hovered || event.target;
+    const step = this.steps[this.stepIndex];
+
+    // Buttons are matched inside the banner, so they get a selector relative to it
+    const selector = step.key === 'banner'
+      ? ElementPicker.getSelector(element)
+      : this.getButtonSelector(element);
+
+    if (!selector) {
+      this.prompt.querySelector('.text').textContent = 'No stable selector for this element, try another one';
+      return;
+    }
+
+    this.picked[step.key] = selector;
+    this.log(`Picked ${step.key}: ${selector}`);
+    this.nextStep();
+  }
+
+  /**
+   * @param {KeyboardEvent} event
+   */
+  handleKey(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      event.stopImmediatePropagation();
+      this.finish(null);
+    } else if (event.key === 'ArrowUp' && this.hovered?.parentElement) {
+      event.preventDefault();
+      event.stopImmediatePropagation();
+      if (this.hovered.parentElement !== document.documentElement) {
+        this.setHovered(this.hovered.parentElement);
+      }
+    }
+  }
+
+  /**
+   * @param {Event} event
+   */
+  swallow(event) {
+    if (this.isOwnEvent(event)) return;
+    event.preventDefault();
+    event.stopImmediatePropagation();
+  }
+
+  /**
+   * @param {Event} event
+   * @returns {boolean} Whether the event comes from the picker's own UI
+   */
+  isOwnEvent(event) {
+    return !!this.host && event.composedPath().includes(this.host);
+  }
+
+  /**
+   * Highlight an element
+   * @param {Element} element
+   */
+  setHovered(element) {
+    if (!element || element === document.documentElement || element === document.body) return;
+
+    this.hovered = element;
+    const rect = element.getBoundingClientRect();
+    Object.assign(this.highlight.style, {
+      display: 'block',
+      top: `${rect.top}px`,
+      left: `${rect.left}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+  }
+
+  /**
+   * Selector for a button, scoped to the picked banner when it is inside it
+   * @param {Element} element
+   * @returns {string|null}
+   */
+  getButtonSelector(element) {
+    const banner = this.picked.banner && document.querySelector(this.picked.banner);
+    if (banner && banner !== element && banner.contains(element)) {
+      const relative = ElementPicker.getSelector(element, banner);
+      const selector = relative && `${this.picked.banner} ${relative}`;
+      if (selector && ElementPicker.isUnique(selector, element, document)) return selector;
+    }
+    return ElementPicker.getSelector(element);
+  }
+
+  /**
+   * Build a selector that matches only this element within a root
+   * Prefers IDs, test and ARIA attributes and class names that look hand-written
+   * over generated ones, and falls back to a child path from the nearest
+   * ancestor that can be identified on its own.
+   * @param {Element} element
+   * @param {Element|Document} root
+   * @returns {string|null}
+   */
+  static getSelector(element, root = document) {
+    const own = ElementPicker.getOwnSelector(element, root);
+    if (own) return own;
+
+    const path = [];
+    let current = element;
+    let anchored = false;
+    while (current && current !== root && current.parentElement) {
+      const anchor = current !== element && ElementPicker.getOwnSelector(current, root);
+      if (anchor) {
+        path.unshift(anchor);
+        anchored = true;
+        break;
+      }
+
+      const tag = current.tagName.toLowerCase();
+      const siblings = Array.from(current.parentElement.children).filter(child => child.tagName === current.tagName);
+      path.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(current) + 1})` : tag);
+      current = current.parentElement;
+    }
+
+    if (path.length === 0 || path.length > 8) return null;
+
+    // Without an identifiable ancestor, the path starts at a child of the root element
+    const selector = path.join(' > ');
+    if (!anchored && root !== document) {
+      return ElementPicker.isUnique(`:scope > ${selector}`, element, root) ? `> ${selector}` : null;
+    }
+    return ElementPicker.isUnique(selector, element, root) ? selector : null;
+  }
+
+  /**
+   * Selector from the element's own attributes, if one is unique within the root
+   * @param {Element} element
+   * @param {Element|Document} root
+   * @returns {string|null}
+   */
+  static getOwnSelector(element, root) {
+    const tag = element.tagName.toLowerCase();
+    const candidates = [];
+
+    if (element.id && ElementPicker.isStableName(element.id)) {
+      candidates.push(`#${CSS.escape(element.id)}`);
+    }
+
+    for (const attribute of ['data-testid', 'data-test', 'data-qa', 'data-cy', 'aria-label', 'name']) {
+      const value = element.getAttribute(attribute);
+      if (value && value.length <= 80) {
+        candidates.push(`${tag}[${attribute}="${CSS.escape(value)}"]`);
+      }
+    }
+
+    const classes = Array.from(element.classList).filter(name => ElementPicker.isStableName(name));
+    if (classes.length > 0) {
+      candidates.push(`${tag}.${classes.map(name => CSS.escape(name)).join('.')}`);
+      candidates.push(...classes.map(name => `${tag}.${CSS.escape(name)}`));
+    }
+
+    return candidates.find(selector => ElementPicker.isUnique(selector, element, root)) || null;
+  }
+
+  /**
+   * Whether an ID or class name looks hand-written rather than generated by a build tool
+   * @param {string} name
+   * @returns {boolean}
+   */
+  static isStableName(name) {
+    if (name.length > 40 || /\d{3,}/.test(name)) return false;
+
+    // CSS-in-JS and CSS module hashes, e.g. css-1q2w3e, sc-bdVaJa, Banner_root__x7Yz2
+    if (/^(css|sc|jsx|svelte|emotion)-/.test(name) || /__[A-Za-z0-9]{5,}$/.test(name)) return false;
+
+    // Mixed-case names with digits are almost always generated
+    return !(/\d/.test(name) && /[A-Z]/.test(name) && /[a-z]/.test(name));
+  }
+
+  /**
+   * @param {string} selector
+   * @param {Element} element
+   * @param {Element|Document} root
+   * @returns {boolean}
+   */
+  static isUnique(selector, element, root) {
+    try {
+      const matches = root.querySelectorAll(selector);
+      return matches.length === 1 && matches[0] === element;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Log debug messages
+   * @param {string} message
+   */
+  log(message) {
+    if (this.debugMode) {
+      console.log(`[OneClick Cookies] ${message}`);
+    }
+  }
+}
+
+// Make available globally
+window.ElementPicker = ElementPicker;
@@ -0,0 +1,152 @@
+/**
+ * Language Packs
+ * Picks which of the per-language vocabulary packs in rules/languages/ a page
+ * needs and merges them into the consent patterns. The page's own language
+ * (the `lang` attribute, or a guess from its text) comes first, then the
+ * browser's languages, then English, which many sites use for banners whatever
+ * their language. All packs are used only when the page language is unknown.
+ */
+
+class LanguagePacks {
+  /**
+   * @param {Object} index - `languages` from rules/languages/index.json
+   */
+  constructor(index = {}) {
+    this.available = Object.keys(index);
+    this.stopwords = new Map(); // language -> Set of folded words
+    this.scripts = new Map(); // language -> RegExp for its script
+
+    for (const [language, entry] of Object.entries(index)) {
+      if (entry.stopwords) {
+        this.stopwords.set(language, new Set(entry.stopwords.map(word => TextMatcher.normalize(word))));
+      }
+      if (entry.scripts) {
+        this.scripts.set(language, new RegExp(entry.scripts.map(script => `\\p{Script=${script}}`).join('|'), 'gu'));
+      }
+    }
+  }
+
+  /**
+   * Languages to load for a page, most likely first
+   * @param {Object} signals
+   * @param {string} signals.documentLang - `lang` attribute of the html element
+   * @param {Array<string>} signals.navigatorLanguages - `navigator.languages`
+   * @param {string} signals.text - Sample of the page text
+   * @returns {Object} `{ languages, all }`, all is true when the page language is unknown
+   */
+  select(signals) {
+    const pageLanguages = [
+      LanguagePacks.primaryTag(signals.documentLang),
+      this.guess(signals.text)
+    ].filter(language => this.available.includes(language));
+
+    if (pageLanguages.length === 0) {
+      return { languages: this.available.slice(), all: true };
+    }
+
+    const languages = new Set([
+      ...pageLanguages,
+      ...(signals.navigatorLanguages || []).map(LanguagePacks.primaryTag),
+      'en'
+    ]);
+    return {
+      languages: Array.from(languages).filter(language => this.available.includes(language)),
+      all: false
+    };
+  }
+
+  /**
+   * Guess the language of a text from its script or its most common words
+   * @param {string} text
+   * @returns {string|null} Language code, or null when there is no clear winner
+   */
+  guess(text) {
+    if (!text) return null;
+
+    // Languages with their own script: a handful of characters is enough
+    for (const [language, regex] of this.scripts) {
+      if ((text.match(regex) || []).length >= 10) return language;
+    }
+
+    const words = TextMatcher.normalize(text).split(/[^\p{L}]+/u);
+    const counts = [];
+    for (const [language, stopwords] of this.stopwords) {
+      counts.push({ language: language, count: words.filter(word => stopwords.has(word)).length });
+    }
+    counts.sort((a, b) => b.count - a.count);
+
+    const [best, second] = counts;
+    if (!best || best.count < 5 || (second && best.count < second.count * 1.5)) return null;
+    return best.language;
+  }
+
+  /**
+   * Replace the vocabulary in the patterns with that of the given packs
+   * Keeps the `{ category: { language: [...] } }` shape the detector and action runner use.
+   * @param {Object} patterns
+   * @param {Array<Object>} packs - Contents of rules/languages/<language>.json, most likely first
+   * @returns {Object} New patterns object
+   */
+  static merge(patterns, packs) {
+    const merged = {
+      ...patterns,
+      languages: packs.map(pack => pack.language),
+      keywords: {},
+      buttonPatterns: {},
+      purposeCategories: {},
+      otherDialogs: {}
+    };
+
+    for (const pack of packs) {
+      merged.keywords[pack.language] = pack.keywords || [];
+      for (const [type, texts] of Object.entries(pack.buttonPatterns || {})) {
+        merged.buttonPatterns[type] = merged.buttonPatterns[type] || {};
+        merged.buttonPatterns[type][pack.language] = texts;
+      }
+      // Category order is the priority order, the same in every pack
+      for (const [category, texts] of Object.entries(pack.purposeCategories || {})) {
+        merged.purposeCategories[category] = merged.purposeCategories[category] || {};
+        merged.purposeCategories[category][pack.language] = texts;
+      }
+      for (const [kind, texts] of Object.entries(pack.otherDialogs || {})) {
+        merged.otherDialogs[kind] = merged.otherDialogs[kind] || {};
+        merged.otherDialogs[kind][pack.language] = texts;
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Visible-ish text from the start of the page, without scripts and styles
+   * @param {Element} root
+   * @param {number} maxLength
+   * @returns {string}
+   */
+  static sampleText(root, maxLength = 3000) {
+    if (!root) return '';
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(node.parentElement?.tagName)
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT
+    });
+
+    let text = '';
+    while (text.length < maxLength && walker.nextNode()) {
+      text += ` ${walker.currentNode.nodeValue}`;
+    }
+    return text.slice(0, maxLength);
+  }
+
+  /**
+   * @param {string} tag - BCP 47 language tag, e.g. `pt-BR`
+   * @returns {string} Primary subtag in lower case, e.g. `pt`
+   */
+  static primaryTag(tag) {
+    return (tag || '').split(/[-_]/)[0].trim().toLowerCase();
+  }
+}
+
+// Make available globally
+window.LanguagePacks = LanguagePacks;
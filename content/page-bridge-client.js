@@ -0,0 +1,58 @@
+/**
+ * Page Bridge Client
+ * Sends requests from the isolated content script to page-bridge.js in the main world
+ */
+
+class PageBridgeClient {
+  constructor() {
+    this.requestSource = 'oneclick-cookies';
+    this.responseSource = 'oneclick-cookies-bridge';
+    this.defaultTimeout = 1500;
+    this.nextId = 1;
+    this.pending = new Map();
+
+    window.addEventListener('message', (event) => this.handleResponse(event));
+  }
+
+  /**
+   * Call a bridge method in the page's main world
+   * @param {string} method - Handler name registered in page-bridge.js
+   * @param {Array} args - Cloneable arguments
+   * @param {number} timeout - Milliseconds to wait for a response
+   * @returns {Promise<*>} Handler result, or null on timeout or error
+   */
+  call(method, args = [], timeout = this.defaultTimeout) {
+    const id = `${Date.now()}-${this.nextId++}`;
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        resolve(null);
+      }, timeout);
+
+      this.pending.set(id, (result) => {
+        clearTimeout(timer);
+        resolve(result);
+      });
+
+      window.postMessage({ source: this.requestSource, id: id, method: method, args: args }, '*');
+    });
+  }
+
+  /**
+   * Resolve a pending call when the bridge answers
+   * @param {MessageEvent} event
+   */
+  handleResponse(event) {
+    if (event.source !== window || event.data?.source !== this.responseSource) return;
+
+    const resolve = this.pending.get(event.data.id);
+    if (!resolve) return;
+
+    this.pending.delete(event.data.id);
+    resolve(event.data.error ? null : event.data.result);
+  }
+}
+
+// Make available globally
+window.PageBridgeClient = PageBridgeClient;
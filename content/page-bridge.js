@@ -0,0 +1,124 @@
+/**
+ * OneClick Cookies - Page Bridge
+ * Runs in the page's main world to reach CMP JavaScript APIs that the
+ * isolated content script cannot see. Requests arrive via window.postMessage.
+ */
+
+(() => {
+  'use strict';
+
+  const REQUEST_SOURCE = 'oneclick-cookies';
+  const RESPONSE_SOURCE = 'oneclick-cookies-bridge';
+  const API_TIMEOUT = 1000;
+  const API_PATH_PATTERN = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/;
+
+  const handlers = {
+    getTCData: getTCData,
+    callCMPApi: callCMPApi
+  };
+
+  /**
+   * Query the IAB TCF v2 API for the current consent data
+   * @returns {Promise<Object|null>} Cloneable subset of the TCData object
+   */
+  function getTCData() {
+    return new Promise((resolve) => {
+      if (typeof window.__tcfapi !== 'function') {
+        resolve(null);
+        return;
+      }
+
+      const timer = setTimeout(() => resolve(null), API_TIMEOUT);
+
+      try {
+        window.__tcfapi('getTCData', 2, (tcData, success) => {
+          clearTimeout(timer);
+          if (!success || !tcData) {
+            resolve(null);
+            return;
+          }
+          resolve({
+            tcString: tcData.tcString || '',
+            gdprApplies: tcData.gdprApplies,
+            cmpId: tcData.cmpId,
+            cmpVersion: tcData.cmpVersion,
+            eventStatus: tcData.eventStatus,
+            cmpStatus: tcData.cmpStatus
+          });
+        });
+      } catch (error) {
+        clearTimeout(timer);
+        resolve(null);
+      }
+    });
+  }
+
+  /**
+   * Call a sequence of CMP API functions, e.g. `OneTrust.RejectAll`
+   * @param {Array<Object>} calls - Items of `{ call, args, optional }`
+   * @returns {Promise<Object>} Result with success flag and failing call
+   */
+  async function callCMPApi(calls) {
+    if (!Array.isArray(calls) || calls.length === 0) {
+      return { success: false, error: 'No API calls given' };
+    }
+
+    for (const item of calls) {
+      try {
+        const target = resolveFunction(item.call);
+        if (!target) {
+          throw new Error(`${item.call} is not available`);
+        }
+
+        // Some CMP APIs return promises (e.g. Usercentrics UC_UI)
+        await target.fn.apply(target.owner, Array.isArray(item.args) ? item.args : []);
+      } catch (error) {
+        if (!item.optional) {
+          return { success: false, call: item.call, error: error.message };
+        }
+      }
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Resolve a dotted path on window to a function and its owner
+   * @param {string} path - e.g. `Didomi.setUserDisagreeToAll`
+   * @returns {Object|null} `{ fn, owner }`
+   */
+  function resolveFunction(path) {
+    if (typeof path !== 'string' || !API_PATH_PATTERN.test(path)) return null;
+
+    let owner = window;
+    const parts = path.split('.');
+    for (let i = 0; i < parts.length - 1; i++) {
+      owner = owner?.[parts[i]];
+      if (owner === null || owner === undefined) return null;
+    }
+
+    const fn = owner[parts[parts.length - 1]];
+    return typeof fn === 'function' ? { fn: fn, owner: owner } : null;
+  }
+
+  window.addEventListener('message', async (event) => {
+    if (event.source !== window || event.data?.source !== REQUEST_SOURCE) return;
+
+    const { id, method, args } = event.data;
+    const handler = handlers[method];
+    let result = null;
+    let error = null;
+
+    if (handler) {
+      try {
+        result = await handler(...(Array.isArray(args) ? args : []));
+      } catch (e) {
+        error = e.message;
+      }
+    } else {
+      error = `Unknown bridge method: ${method}`;
+    }
+
+    window.postMessage({ source: RESPONSE_SOURCE, id: id, result: result, error: error }, '*');
+  });
+})();
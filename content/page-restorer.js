@@ -0,0 +1,170 @@
+/**
+ * Page Restorer
+ * Detects and reverts the scroll locks and page obstructions that consent
+ * dialogs leave behind, recording every change so it can be undone
+ */
+
+class PageRestorer {
+  constructor() {
+    this.changes = [];
+    this.debugMode = false;
+    this.contentSelectors = ['main', '#root', '#app', '#__next', '#page', '[role="main"]'];
+  }
+
+  /**
+   * Detect and revert scroll locks, filters and inert content
+   * @returns {number} Number of changes made
+   */
+  restore() {
+    const before = this.changes.length;
+    const html = document.documentElement;
+    const body = document.body;
+    if (!html || !body) return 0;
+
+    // Sites often pin the body and offset it by the scroll position
+    const bodyStyle = window.getComputedStyle(body);
+    if (bodyStyle.position === 'fixed') {
+      const offset = parseInt(bodyStyle.top, 10);
+      this.setStyle(body, 'position', 'static', 'fixed body');
+      this.setStyle(body, 'top', 'auto', 'fixed body');
+      if (!isNaN(offset) && offset < 0) {
+        window.scrollTo(0, -offset);
+      }
+    }
+
+    // Only unlock scrolling when there is something to scroll to
+    const scrollable = html.scrollHeight > window.innerHeight + 1;
+
+    for (const element of [html, body]) {
+      const style = window.getComputedStyle(element);
+
+      if (scrollable && (style.overflow === 'hidden' || style.overflowY === 'hidden')) {
+        this.setStyle(element, 'overflow', 'auto', 'scroll lock');
+        this.setStyle(element, 'overflow-y', 'auto', 'scroll lock');
+      }
+
+      if (style.pointerEvents === 'none') {
+        this.setStyle(element, 'pointer-events', 'auto', 'pointer lock');
+      }
+    }
+
+    for (const element of this.getContentElements()) {
+      const filter = window.getComputedStyle(element).filter;
+      if (filter && (filter.includes('blur(') || filter.includes('grayscale('))) {
+        this.setStyle(element, 'filter', 'none', 'content filter');
+      }
+
+      if (element.hasAttribute('inert')) {
+        this.removeAttribute(element, 'inert', 'inert content');
+      }
+    }
+
+    const made = this.changes.length - before;
+    if (made > 0) {
+      this.log(`Restored page: ${this.changes.slice(before).map(c => c.reason).join(', ')}`);
+    }
+    return made;
+  }
+
+  /**
+   * Revert every change made by restore()
+   * @returns {number} Number of changes undone
+   */
+  undo() {
+    const count = this.changes.length;
+
+    // Undo in reverse order so overlapping changes unwind correctly
+    for (const change of this.changes.reverse()) {
+      if (change.type === 'style') {
+        if (change.previousValue) {
+          change.element.style.setProperty(change.name, change.previousValue, change.previousPriority);
+        } else {
+          change.element.style.removeProperty(change.name);
+        }
+      } else if (change.type === 'attribute') {
+        change.element.setAttribute(change.name, change.previousValue);
+      }
+    }
+
+    this.changes = [];
+    this.log(`Undid ${count} page changes`);
+    return count;
+  }
+
+  /**
+   * Main content containers that dialogs blur or make inert
+   * @returns {Array<Element>}
+   */
+  getContentElements() {
+    const elements = new Set(document.body.children);
+
+    for (const selector of this.contentSelectors) {
+      document.querySelectorAll(selector).forEach(element => elements.add(element));
+    }
+
+    return Array.from(elements).filter(element => !['SCRIPT', 'STYLE', 'LINK'].includes(element.tagName));
+  }
+
+  /**
+   * Override an inline style and record the previous value
+   * @param {Element} element
+   * @param {string} property
+   * @param {string} value
+   * @param {string} reason - What kind of obstruction this reverts
+   */
+  setStyle(element, property, value, reason) {
+    if (this.hasChange(element, 'style', property)) return;
+
+    this.changes.push({
+      type: 'style',
+      element: element,
+      name: property,
+      previousValue: element.style.getPropertyValue(property),
+      previousPriority: element.style.getPropertyPriority(property),
+      reason: reason
+    });
+    element.style.setProperty(property, value, 'important');
+  }
+
+  /**
+   * Remove an attribute and record the previous value
+   * @param {Element} element
+   * @param {string} name
+   * @param {string} reason - What kind of obstruction this reverts
+   */
+  removeAttribute(element, name, reason) {
+    if (this.hasChange(element, 'attribute', name)) return;
+
+    this.changes.push({
+      type: 'attribute',
+      element: element,
+      name: name,
+      previousValue: element.getAttribute(name),
+      reason: reason
+    });
+    element.removeAttribute(name);
+  }
+
+  /**
+   * @param {Element} element
+   * @param {string} type
+   * @param {string} name
+   * @returns {boolean}
+   */
+  hasChange(element, type, name) {
+    return this.changes.some(c => c.element === element && c.type === type && c.name === name);
+  }
+
+  /**
+   * Log debug messages
+   * @param {string} message
+   */
+  log(message) {
+    if (this.debugMode) {
+      console.log(`[OneClick Cookies] ${message}`);
+    }
+  }
+}
+
+// Make available globally
+window.PageRestorer = PageRestorer;
@@ -0,0 +1,92 @@
+/**
+ * Site Matcher
+ * Finds the site rule that applies to a hostname. Rule keys are patterns:
+ * - `shop.example.com` matches that host only
+ * - `*.example.com` matches example.com and all of its subdomains
+ * - `site:example.com` matches the whole registrable domain (eTLD+1)
+ *
+ * The service worker reduces `site:` patterns to the registrable domain with
+ * the bundled public suffix list when rules are saved, so matching them here
+ * only needs a suffix comparison.
+ */
+
+class SiteMatcher {
+  /**
+   * @param {Object} rules - Site rules keyed by pattern
+   */
+  constructor(rules = {}) {
+    this.setRules(rules);
+  }
+
+  /**
+   * Replace the rules being matched
+   * @param {Object} rules - Site rules keyed by pattern
+   */
+  setRules(rules) {
+    this.exact = new Map();
+    this.suffixes = [];
+
+    for (const [pattern, rule] of Object.entries(rules || {})) {
+      const parsed = SiteMatcher.parse(pattern);
+      if (!parsed) continue;
+
+      if (parsed.scope === 'exact') {
+        this.exact.set(parsed.domain, { pattern: pattern, rule: rule });
+      } else {
+        this.suffixes.push({ ...parsed, pattern: pattern, rule: rule });
+      }
+    }
+
+    // Most specific first: longer domains, then wildcards before whole-site entries
+    this.suffixes.sort((a, b) =>
+      b.domain.length - a.domain.length ||
+      (a.scope === b.scope ? 0 : a.scope === 'subdomains' ? -1 : 1)
+    );
+  }
+
+  /**
+   * Find the most specific rule for a hostname
+   * @param {string} hostname
+   * @returns {Object|null} `{ pattern, rule }`
+   */
+  match(hostname) {
+    if (!hostname) return null;
+    const host = hostname.toLowerCase().replace(/\.$/, '');
+
+    if (this.exact.has(host)) {
+      return this.exact.get(host);
+    }
+
+    const entry = this.suffixes.find(s => SiteMatcher.isSameOrSubdomain(host, s.domain));
+    return entry ? { pattern: entry.pattern, rule: entry.rule } : null;
+  }
+
+  /**
+   * Split a rule pattern into its scope and domain
+   * @param {string} pattern
+   * @returns {Object|null} `{ scope: 'exact'|'subdomains'|'site', domain }`
+   */
+  static parse(pattern) {
+    if (typeof pattern !== 'string' || !pattern) return null;
+
+    if (pattern.startsWith('site:')) {
+      return { scope: 'site', domain: pattern.slice(5) };
+    }
+    if (pattern.startsWith('*.')) {
+      return { scope: 'subdomains', domain: pattern.slice(2) };
+    }
+    return { scope: 'exact', domain: pattern };
+  }
+
+  /**
+   * @param {string} host
+   * @param {string} domain
+   * @returns {boolean}
+   */
+  static isSameOrSubdomain(host, domain) {
+    return host === domain || host.endsWith(`.${domain}`);
+  }
+}
+
+// Make available globally
+window.SiteMatcher = SiteMatcher;
@@ -0,0 +1,148 @@
+/**
+ * TC String Decoder
+ * Decodes the core segment of an IAB TCF v2 Transparency & Consent string
+ */
+
+class TCStringDecoder {
+  /**
+   * Decode a TC string
+   * @param {string} tcString - Base64url TC string, optionally with extra segments
+   * @returns {Object} Decoded consent data
+   */
+  static decode(tcString) {
+    if (!tcString || typeof tcString !== 'string') {
+      throw new Error('Empty TC string');
+    }
+
+    const reader = new TCBitReader(tcString.split('.')[0]);
+
+    const version = reader.readInt(6);
+    if (version !== 2) {
+      throw new Error(`Unsupported TC string version: ${version}`);
+    }
+
+    const result = {
+      version: version,
+      created: reader.readInt(36) * 100,
+      lastUpdated: reader.readInt(36) * 100,
+      cmpId: reader.readInt(12),
+      cmpVersion: reader.readInt(12),
+      consentScreen: reader.readInt(6),
+      consentLanguage: reader.readLetters(2),
+      vendorListVersion: reader.readInt(12),
+      tcfPolicyVersion: reader.readInt(6),
+      isServiceSpecific: reader.readBool(),
+      useNonStandardTexts: reader.readBool(),
+      specialFeatureOptIns: reader.readBitfield(12),
+      purposeConsents: reader.readBitfield(24),
+      purposeLegitimateInterests: reader.readBitfield(24),
+      purposeOneTreatment: reader.readBool(),
+      publisherCC: reader.readLetters(2)
+    };
+
+    result.vendorConsents = TCStringDecoder.readVendorSection(reader);
+    result.vendorLegitimateInterests = TCStringDecoder.readVendorSection(reader);
+
+    return result;
+  }
+
+  /**
+   * Read a vendor consent or legitimate interest section
+   * @param {TCBitReader} reader
+   * @returns {Array<number>} Vendor IDs with the bit set
+   */
+  static readVendorSection(reader) {
+    const maxVendorId = reader.readInt(16);
+    const isRangeEncoding = reader.readBool();
+
+    if (!isRangeEncoding) {
+      return reader.readBitfield(maxVendorId);
+    }
+
+    const vendors = [];
+    const numEntries = reader.readInt(12);
+    for (let i = 0; i < numEntries; i++) {
+      const isRange = reader.readBool();
+      const start = reader.readInt(16);
+      const end = isRange ? reader.readInt(16) : start;
+      for (let id = start; id <= end; id++) {
+        vendors.push(id);
+      }
+    }
+    return vendors;
+  }
+}
+
+/**
+ * Sequential reader over the bits of a base64url string
+ */
+class TCBitReader {
+  /**
+   * @param {string} segment - Base64url encoded segment
+   */
+  constructor(segment) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+    let bits = '';
+
+    for (const char of segment) {
+      const value = alphabet.indexOf(char);
+      if (value === -1) {
+        throw new Error(`Invalid character in TC string: ${char}`);
+      }
+      bits += value.toString(2).padStart(6, '0');
+    }
+
+    this.bits = bits;
+    this.offset = 0;
+  }
+
+  /**
+   * @param {number} length - Number of bits
+   * @returns {number}
+   */
+  readInt(length) {
+    if (this.offset + length > this.bits.length) {
+      throw new Error('TC string is truncated');
+    }
+    // parseInt keeps precision for the 36-bit timestamps
+    const value = parseInt(this.bits.substr(this.offset, length), 2);
+    this.offset += length;
+    return value;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  readBool() {
+    return this.readInt(1) === 1;
+  }
+
+  /**
+   * Read two-letter codes stored as 6-bit offsets from 'a'
+   * @param {number} count - Number of letters
+   * @returns {string}
+   */
+  readLetters(count) {
+    let letters = '';
+    for (let i = 0; i < count; i++) {
+      letters += String.fromCharCode(97 + this.readInt(6));
+    }
+    return letters;
+  }
+
+  /**
+   * Read a bitfield as the list of 1-based IDs whose bit is set
+   * @param {number} length - Number of bits
+   * @returns {Array<number>}
+   */
+  readBitfield(length) {
+    const ids = [];
+    for (let i = 1; i <= length; i++) {
+      if (this.readBool()) ids.push(i);
+    }
+    return ids;
+  }
+}
+
+// Make available globally
+window.TCStringDecoder = TCStringDecoder;
@@ -0,0 +1,139 @@
+/**
+ * Text Matcher
+ * Finds consent vocabulary in page text. A list of terms is compiled once into
+ * a single regular expression that works on folded text: lower case, no
+ * diacritics, one space between words. Terms only match whole words, with word
+ * boundaries that understand every script rather than just ASCII, so "rodo"
+ * does not match inside "środowisko" and "ok" does not match inside "cookies".
+ *
+ * Terms of at least `prefixLength` characters also match the start of a longer
+ * word, which covers plurals and compounds ("cookie" in "cookies", "datenschutz"
+ * in "Datenschutzerklärung"). Terms in Chinese, Japanese and Thai, which are
+ * written without spaces, and Korean, where particles attach to words, match
+ * anywhere.
+ */
+
+class TextMatcher {
+  /**
+   * @param {Array<string>} terms
+   * @param {Object} options
+   * @param {number} options.prefixLength - Minimum length of terms that may start a longer word, 0 for none
+   */
+  constructor(terms, options = {}) {
+    this.prefixLength = options.prefixLength || 0;
+    this.terms = []; // Original spelling of each compiled term, by capture group
+    this.regex = null;
+
+    const seen = new Set();
+    const compiled = [];
+    for (const term of terms || []) {
+      const folded = TextMatcher.normalize(term);
+      if (!folded || seen.has(folded)) continue;
+      seen.add(folded);
+      compiled.push({ term: term, folded: folded });
+    }
+
+    // Longer terms first, so "accept all" wins over "accept" at the same position
+    compiled.sort((a, b) => b.folded.length - a.folded.length);
+    if (compiled.length === 0) return;
+
+    const alternatives = compiled.map(({ term, folded }) => {
+      this.terms.push(term);
+      return `(${TextMatcher.compileTerm(folded, this.prefixLength)})`;
+    });
+    this.regex = new RegExp(alternatives.join('|'), 'gu');
+  }
+
+  /**
+   * Whether the text contains any of the terms
+   * @param {string} text
+   * @returns {boolean}
+   */
+  test(text) {
+    if (!this.regex || !text) return false;
+    this.regex.lastIndex = 0;
+    return this.regex.test(TextMatcher.normalize(text));
+  }
+
+  /**
+   * Distinct terms found in the text, in their original spelling
+   * @param {string} text
+   * @returns {Array<string>}
+   */
+  findAll(text) {
+    if (!this.regex || !text) return [];
+
+    const found = new Set();
+    // matchAll starts where the last test() stopped
+    this.regex.lastIndex = 0;
+    for (const match of TextMatcher.normalize(text).matchAll(this.regex)) {
+      const group = match.findIndex((value, index) => index > 0 && value !== undefined);
+      found.add(this.terms[group - 1]);
+    }
+    return Array.from(found);
+  }
+
+  /**
+   * Number of distinct terms found in the text
+   * @param {string} text
+   * @returns {number}
+   */
+  count(text) {
+    return this.findAll(text).length;
+  }
+
+  /**
+   * Fold text for matching: lower case, diacritics removed, whitespace collapsed
+   * @param {string} text
+   * @returns {string}
+   */
+  static normalize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/\p{M}/gu, '')
+      // Letters that Unicode does not decompose into a base letter and a mark
+      .replace(/[łøđħıßæœς]/g, char => TextMatcher.FOLDS[char])
+      .replace(/[’‘ʼ`´]/g, '\'')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Pattern for one folded term, with boundaries where its script has them
+   * @param {string} folded
+   * @param {number} prefixLength
+   * @returns {string}
+   */
+  static compileTerm(folded, prefixLength) {
+    const body = folded
+      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/ /g, '\\s+');
+
+    const spacedStart = !TextMatcher.UNSPACED_SCRIPTS.test(folded[0]);
+    const spacedEnd = !TextMatcher.UNSPACED_SCRIPTS.test(folded[folded.length - 1]);
+    const prefix = prefixLength > 0 && folded.length >= prefixLength;
+
+    return (spacedStart ? '(?<![\\p{L}\\p{N}])' : '') +
+      body +
+      (spacedEnd ? (prefix ? '[\\p{L}\\p{N}]*' : '(?![\\p{L}\\p{N}])') : '');
+  }
+}
+
+TextMatcher.FOLDS = {
+  'ł': 'l',
+  'ø': 'o',
+  'đ': 'd',
+  'ħ': 'h',
+  'ı': 'i',
+  'ß': 'ss',
+  'æ': 'ae',
+  'œ': 'oe',
+  'ς': 'σ' // Greek final sigma
+};
+
+// Scripts where word boundaries do not delimit terms
+TextMatcher.UNSPACED_SCRIPTS = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Thai}]/u;
+
+// Make available globally
+window.TextMatcher = TextMatcher;
@@ -0,0 +1,748 @@
+/**
+ * OneClick Cookies - Options Page Script
+ * Full settings view. Uses the same service worker actions as the popup and
+ * reloads on storage changes, so both views stay in sync.
+ */
+
+'use strict';
+
+const MODE_LABELS = {
+  accept: 'Accept',
+  deny: 'Deny',
+  custom: 'Custom profile',
+  hide: 'Hide only',
+  ignore: 'Ignore'
+};
+
+const ACTION_LABELS = {
+  accept: 'Accepted',
+  deny: 'Denied',
+  custom: 'Custom profile',
+  hide: 'Hidden'
+};
+
+const HISTORY_LIMIT = 1000;
+
+// Site rules sent per importSiteRules message; a failure loses one batch, not the whole paste
+const BULK_IMPORT_BATCH = 200;
+
+// UI Elements
+const elements = {
+  // Mode and profile
+  mode: document.getElementById('mode'),
+  profileToggles: document.querySelectorAll('.profile-toggle'),
+  denyFallback: document.getElementById('deny-fallback'),
+  historyRetention: document.getElementById('history-retention'),
+  debugMode: document.getElementById('debug-mode'),
+
+  // Site rules
+  siteRulesSearch: document.getElementById('site-rules-search'),
+  siteRulesSort: document.getElementById('site-rules-sort'),
+  siteRulesCount: document.getElementById('site-rules-count'),
+  siteRulesTable: document.getElementById('site-rules-table'),
+  siteRuleForm: document.getElementById('site-rule-form'),
+  siteRulePattern: document.getElementById('site-rule-pattern'),
+  siteRuleMode: document.getElementById('site-rule-mode'),
+  siteRuleNotes: document.getElementById('site-rule-notes'),
+  siteModeSelects: document.querySelectorAll('.site-mode-select'),
+  bulkSiteRules: document.getElementById('bulk-site-rules'),
+  bulkDefaultMode: document.getElementById('bulk-default-mode'),
+  btnBulkImport: document.getElementById('btn-bulk-import'),
+  siteRulesStatus: document.getElementById('site-rules-status'),
+
+  // Custom CMP rules
+  customCMPsEditor: document.getElementById('custom-cmps-editor'),
+  btnSaveCustomCMPs: document.getElementById('btn-save-custom-cmps'),
+  btnRevertCustomCMPs: document.getElementById('btn-revert-custom-cmps'),
+  customCMPsStatus: document.getElementById('custom-cmps-status'),
+
+  // Blocking rules
+  networkRulesTable: document.getElementById('network-rules-table'),
+  networkRuleForm: document.getElementById('network-rule-form'),
+  networkRuleAction: document.getElementById('network-rule-action'),
+  networkRuleFilterType: document.getElementById('network-rule-filter-type'),
+  networkRuleFilter: document.getElementById('network-rule-filter'),
+  networkResourceTypes: document.querySelectorAll('.network-resource-type'),
+  networkRuleInitiators: document.getElementById('network-rule-initiators'),
+  btnSaveNetworkRule: document.getElementById('btn-save-network-rule'),
+  btnCancelNetworkRule: document.getElementById('btn-cancel-network-rule'),
+  networkRuleStatus: document.getElementById('network-rule-status'),
+
+  // History
+  historySearch: document.getElementById('history-search'),
+  historyCount: document.getElementById('history-count'),
+  historyTable: document.getElementById('history-table'),
+  btnExportHistoryCsv: document.getElementById('btn-export-history-csv'),
+  btnExportHistoryJson: document.getElementById('btn-export-history-json'),
+  btnClearHistory: document.getElementById('btn-clear-history'),
+
+  // Diagnostics
+  diagnosticsOutput: document.getElementById('diagnostics-output'),
+  btnRefreshDiagnostics: document.getElementById('btn-refresh-diagnostics')
+};
+
+let currentConfig = null;
+let networkRules = [];
+let editingNetworkRuleId = null;
+let historyEntries = [];
+let savedCustomCMPs = ''; // Editor text as last loaded, to spot unsaved edits
+
+/**
+ * Initialize options page
+ */
+async function init() {
+  try {
+    fillModeSelects();
+
+    await loadConfig();
+    await loadCustomCMPs();
+    await loadNetworkRules();
+    await loadHistory();
+    await loadDiagnostics();
+
+    setupEventListeners();
+    updateUI();
+  } catch (error) {
+    console.error('[OneClick Cookies] Options initialization error:', error);
+  }
+}
+
+/**
+ * Load configuration from background
+ */
+async function loadConfig() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getConfig' });
+    if (response.success) {
+      currentConfig = response.config;
+    }
+  } catch (error) {
+    console.error('[OneClick Cookies] Failed to load config:', error);
+    currentConfig = {
+      mode: 'manual',
+      debugMode: false,
+      denyFallback: 'accept',
+      consentProfile: {},
+      siteRules: {},
+      historyRetentionDays: 90
+    };
+  }
+}
+
+/**
+ * Load the user-defined CMP rules into the editor
+ */
+async function loadCustomCMPs() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getCustomCMPs' });
+    if (response.success) {
+      savedCustomCMPs = JSON.stringify(response.cmps, null, 2);
+      elements.customCMPsEditor.value = savedCustomCMPs;
+    }
+  } catch (error) {
+    console.error('[OneClick Cookies] Failed to load custom CMP rules:', error);
+  }
+}
+
+/**
+ * Load user-defined blocking rules
+ */
+async function loadNetworkRules() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getNetworkRules' });
+    if (response.success) {
+      networkRules = response.rules;
+      updateNetworkRulesTable();
+    }
+  } catch (error) {
+    console.error('[OneClick Cookies] Failed to load blocking rules:', error);
+  }
+}
+
+/**
+ * Load the consent history of all sites
+ */
+async function loadHistory() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getConsentHistory', limit: HISTORY_LIMIT });
+    if (response.success) {
+      historyEntries = response.entries;
+      updateHistoryTable();
+    }
+  } catch (error) {
+    console.error('[OneClick Cookies] Failed to load consent history:', error);
+  }
+}
+
+/**
+ * Load diagnostics
+ */
+async function loadDiagnostics() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getDiagnostics' });
+    elements.diagnosticsOutput.textContent = response.success
+      ? JSON.stringify(response.diagnostics, null, 2)
+      : response.error;
+  } catch (error) {
+    console.error('[OneClick Cookies] Failed to load diagnostics:', error);
+    elements.diagnosticsOutput.textContent = error.message;
+  }
+}
+
+/**
+ * Fill every site mode select with the available modes
+ */
+function fillModeSelects() {
+  elements.siteModeSelects.forEach(select => {
+    for (const [mode, label] of Object.entries(MODE_LABELS)) {
+      select.appendChild(new Option(label, mode));
+    }
+  });
+  elements.bulkDefaultMode.value = 'deny';
+}
+
+/**
+ * Setup event listeners
+ */
+function setupEventListeners() {
+  // Mode and profile
+  elements.mode.addEventListener('change', () => updateConfig({ mode: elements.mode.value }));
+  elements.profileToggles.forEach(toggle => {
+    toggle.addEventListener('change', () => updateConfig({
+      consentProfile: { [toggle.dataset.purpose]: toggle.checked }
+    }));
+  });
+  elements.denyFallback.addEventListener('change', () => updateConfig({ denyFallback: elements.denyFallback.value }));
+  elements.historyRetention.addEventListener('change', () => updateConfig({
+    historyRetentionDays: Number(elements.historyRetention.value)
+  }));
+  elements.debugMode.addEventListener('change', () => updateConfig({ debugMode: elements.debugMode.checked }));
+
+  // Site rules
+  elements.siteRulesSearch.addEventListener('input', updateSiteRulesTable);
+  elements.siteRulesSort.addEventListener('change', updateSiteRulesTable);
+  elements.siteRuleForm.addEventListener('submit', handleAddSiteRule);
+  elements.btnBulkImport.addEventListener('click', handleBulkImport);
+
+  // Custom CMP rules
+  elements.btnSaveCustomCMPs.addEventListener('click', handleSaveCustomCMPs);
+  elements.btnRevertCustomCMPs.addEventListener('click', () => {
+    elements.customCMPsEditor.value = savedCustomCMPs;
+    showStatus(elements.customCMPsStatus, '', 'info');
+  });
+
+  // Blocking rules
+  elements.networkRuleForm.addEventListener('submit', handleSaveNetworkRule);
+  elements.btnCancelNetworkRule.addEventListener('click', resetNetworkRuleForm);
+
+  // History
+  elements.historySearch.addEventListener('input', updateHistoryTable);
+  elements.btnExportHistoryCsv.addEventListener('click', () => handleExportHistory('csv'));
+  elements.btnExportHistoryJson.addEventListener('click', () => handleExportHistory('json'));
+  elements.btnClearHistory.addEventListener('click', handleClearHistory);
+
+  // Diagnostics
+  elements.btnRefreshDiagnostics.addEventListener('click', loadDiagnostics);
+
+  // Changes made in the popup or by the service worker
+  chrome.storage.onChanged.addListener(handleStorageChanged);
+
+  // Blocking rules and history live outside chrome.storage
+  window.addEventListener('focus', async () => {
+    await loadNetworkRules();
+    await loadHistory();
+  });
+}
+
+/**
+ * Reload the sections whose stored data changed
+ * @param {Object} changes
+ * @param {string} areaName
+ */
+async function handleStorageChanged(changes, areaName) {
+  if (areaName === 'sync') {
+    await loadConfig();
+    updateUI();
+  } else if (areaName === 'local') {
+    // Site rules are the one part of the config kept in storage.local
+    if (changes.siteRules) {
+      await loadConfig();
+      updateUI();
+    }
+    // Keep unsaved edits in the editor
+    if (changes.customCMPs && elements.customCMPsEditor.value === savedCustomCMPs) {
+      await loadCustomCMPs();
+    }
+    // Stats change whenever a banner is handled, which also adds a history entry
+    if (changes.stats) {
+      await loadHistory();
+    }
+  }
+}
+
+/**
+ * Update UI based on current configuration
+ */
+function updateUI() {
+  elements.mode.value = currentConfig.mode;
+  elements.profileToggles.forEach(toggle => {
+    toggle.checked = !!currentConfig.consentProfile?.[toggle.dataset.purpose];
+  });
+  elements.denyFallback.value = currentConfig.denyFallback || 'accept';
+  elements.historyRetention.value = String(currentConfig.historyRetentionDays || 90);
+  elements.debugMode.checked = currentConfig.debugMode;
+
+  updateSiteRulesTable();
+}
+
+/**
+ * Save configuration changes
+ * Only the changed keys are sent; the cached config may be older than what the popup saved.
+ * @param {Object} changes - Config keys to update, consentProfile with only the changed purposes
+ */
+async function updateConfig(changes) {
+  try {
+    currentConfig = {
+      ...currentConfig,
+      ...changes,
+      consentProfile: { ...currentConfig.consentProfile, ...changes.consentProfile }
+    };
+    await chrome.runtime.sendMessage({
+      action: 'updateConfig',
+      config: changes
+    });
+  } catch (error) {
+    console.error('[OneClick Cookies] Failed to update config:', error);
+  }
+}
+
+/**
+ * Render the site rules matching the search, in the chosen order
+ */
+function updateSiteRulesTable() {
+  const query = elements.siteRulesSearch.value.trim().toLowerCase();
+  const sortKeys = {
+    pattern: ([pattern]) => pattern,
+    // Reversed labels keep a site's hosts and patterns together
+    domain: ([pattern]) => pattern.replace(/^(site:|\*\.)/, '').split('.').reverse().join('.'),
+    mode: ([pattern, rule]) => `${rule.mode} ${pattern}`
+  };
+  const sortKey = sortKeys[elements.siteRulesSort.value] || sortKeys.pattern;
+
+  const allRules = Object.entries(currentConfig.siteRules || {});
+  const rules = allRules
+    .filter(([pattern, rule]) => !query ||
+      pattern.includes(query) || (rule.notes || '').toLowerCase().includes(query))
+    .sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+
+  elements.siteRulesCount.textContent = query
+    ? `${rules.length} of ${allRules.length}`
+    : `${allRules.length} rules`;
+
+  elements.siteRulesTable.innerHTML = '';
+  if (rules.length === 0) {
+    appendEmptyRow(elements.siteRulesTable, 4, allRules.length === 0 ? 'No site rules' : 'No matching rules');
+    return;
+  }
+
+  for (const [pattern, rule] of rules) {
+    const row = elements.siteRulesTable.insertRow();
+    row.insertCell().textContent = pattern;
+
+    const mode = document.createElement('select');
+    for (const [value, label] of Object.entries(MODE_LABELS)) {
+      mode.appendChild(new Option(label, value));
+    }
+    mode.value = rule.mode;
+    mode.addEventListener('change', () => handleUpdateSiteRule(pattern, { mode: mode.value }));
+    row.insertCell().appendChild(mode);
+
+    const notes = document.createElement('input');
+    notes.type = 'text';
+    notes.maxLength = 500;
+    notes.value = rule.notes || '';
+    notes.addEventListener('change', () => handleUpdateSiteRule(pattern, { notes: notes.value }));
+    row.insertCell().appendChild(notes);
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'remove-btn';
+    removeBtn.textContent = '×';
+    removeBtn.addEventListener('click', () => handleRemoveSiteRule(pattern));
+    row.insertCell().appendChild(removeBtn);
+  }
+}
+
+/**
+ * Handle add site rule form submit
+ * @param {Event} event
+ */
+async function handleAddSiteRule(event) {
+  event.preventDefault();
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'setSiteRule',
+      domain: elements.siteRulePattern.value,
+      rule: { mode: elements.siteRuleMode.value, notes: elements.siteRuleNotes.value }
+    });
+
+    if (response.success) {
+      elements.siteRuleForm.reset();
+      showStatus(elements.siteRulesStatus, '', 'info');
+    } else {
+      showStatus(elements.siteRulesStatus, '✗ ' + response.error, 'error');
+    }
+  } catch (error) {
+    console.error('[OneClick Cookies] Failed to add site rule:', error);
+  }
+}
+
+/**
+ * Change the mode or notes of an existing site rule
+ * @param {string} pattern
+ * @param {Object} changes
+ */
+async function handleUpdateSiteRule(pattern, changes) {
+  try {
+    await chrome.runtime.sendMessage({
+      action: 'setSiteRule',
+      domain: pattern,
+      rule: changes
+    });
+  } catch (error) {
+    console.error('[OneClick Cookies] Failed to update site rule:', error);
+  }
+}
+
+/**
+ * Handle remove site rule
+ * @param {string} pattern
+ */
+async function handleRemoveSiteRule(pattern) {
+  try {
+    await chrome.runtime.sendMessage({
+      action: 'removeSiteRule',
+      domain: pattern
+    });
+  } catch (error) {
+    console.error('[OneClick Cookies] Failed to remove site rule:', error);
+  }
+}
+
+/**
+ * Import pasted site rules, one `pattern [mode] [notes]` per line
+ */
+async function handleBulkImport() {
+  const rules = {};
+  for (const line of elements.bulkSiteRules.value.split('\n')) {
+    const [pattern, ...rest] = line.trim().split(/\s+/);
+    if (!pattern || pattern.startsWith('#')) continue;
+
+    const hasMode = rest.length > 0 && Object.keys(MODE_LABELS).includes(rest[0].toLowerCase());
+    rules[pattern] = {
+      mode: hasMode ? rest.shift().toLowerCase() : elements.bulkDefaultMode.value,
+      notes: rest.join(' ')
+    };
+  }
+
+  const patterns = Object.keys(rules);
+  if (patterns.length === 0) {
+    showStatus(elements.siteRulesStatus, '✗ Nothing to import', 'error');
+    return;
+  }
+
+  const saved = [];
+  const invalid = [];
+  let unsaved = [];
+  let failure = null;
+  for (let i = 0; i < patterns.length; i += BULK_IMPORT_BATCH) {
+    const batch = patterns.slice(i, i + BULK_IMPORT_BATCH);
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'importSiteRules',
+        rules: Object.fromEntries(batch.map(pattern => [pattern, rules[pattern]]))
+      });
+      if (!response.success) throw new Error(response.error);
+      saved.push(...response.saved);
+      invalid.push(...response.invalid);
+    } catch (error) {
+      console.error('[OneClick Cookies] Site rule import failed:', error);
+      failure = error.message;
+      unsaved = patterns.slice(i);
+      break;
+    }
+  }
+
+  // Leave the rejected and unsaved lines in place so they can be fixed or retried
+  const remaining = new Set([...invalid, ...unsaved]);
+  elements.bulkSiteRules.value = elements.bulkSiteRules.value
+    .split('\n')
+    .filter(line => remaining.has(line.trim().split(/\s+/)[0]))
+    .join('\n');
+
+  if (failure) {
+    showStatus(
+      elements.siteRulesStatus,
+      `✗ Imported ${saved.length} rules, ${unsaved.length} not saved: ${failure}` +
+        (invalid.length > 0 ? `\nInvalid:\n${invalid.join('\n')}` : ''),
+      'error'
+    );
+  } else if (invalid.length > 0) {
+    showStatus(
+      elements.siteRulesStatus,
+      `Imported ${saved.length} rules. Invalid:\n${invalid.join('\n')}`,
+      'error'
+    );
+  } else {
+    showStatus(elements.siteRulesStatus, `✓ Imported ${saved.length} rules`, 'success');
+  }
+}
+
+/**
+ * Validate and save the custom CMP rules in the editor
+ */
+async function handleSaveCustomCMPs() {
+  let cmps;
+  try {
+    cmps = JSON.parse(elements.customCMPsEditor.value.trim() || '[]');
+  } catch (error) {
+    showStatus(elements.customCMPsStatus, '✗ Invalid JSON: ' + error.message, 'error');
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'saveCustomCMPs', cmps: cmps });
+    if (response.success) {
+      await loadCustomCMPs();
+      showStatus(elements.customCMPsStatus, '✓ Saved. Reload pages to apply the rules.', 'success');
+    } else {
+      showStatus(elements.customCMPsStatus, '✗ ' + response.error, 'error');
+    }
+  } catch (error) {
+    console.error('[OneClick Cookies] Failed to save custom CMP rules:', error);
+  }
+}
+
+/**
+ * Render the blocking rules table
+ */
+function updateNetworkRulesTable() {
+  elements.networkRulesTable.innerHTML = '';
+  if (networkRules.length === 0) {
+    appendEmptyRow(elements.networkRulesTable, 5, 'No blocking rules');
+    return;
+  }
+
+  for (const rule of networkRules) {
+    const row = elements.networkRulesTable.insertRow();
+    row.className = rule.id === editingNetworkRuleId ? 'network-rule-row editing' : 'network-rule-row';
+    row.addEventListener('click', () => editNetworkRule(rule));
+
+    row.insertCell().textContent = rule.urlFilter || `/${rule.regexFilter}/`;
+    row.insertCell().textContent = rule.action === 'allow' ? 'Allow' : 'Block';
+    row.insertCell().textContent = rule.resourceTypes.join(', ');
+    row.insertCell().textContent = rule.initiatorDomains.join(', ') || 'All sites';
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'remove-btn';
+    removeBtn.textContent = '×';
+    removeBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      handleRemoveNetworkRule(rule.id);
+    });
+    row.insertCell().appendChild(removeBtn);
+  }
+}
+
+/**
+ * Load a rule into the form for editing
+ * @param {Object} rule
+ */
+function editNetworkRule(rule) {
+  editingNetworkRuleId = rule.id;
+  elements.networkRuleAction.value = rule.action;
+  elements.networkRuleFilterType.value = rule.urlFilter ? 'urlFilter' : 'regexFilter';
+  elements.networkRuleFilter.value = rule.urlFilter || rule.regexFilter;
+  elements.networkResourceTypes.forEach(checkbox => {
+    checkbox.checked = rule.resourceTypes.includes(checkbox.value);
+  });
+  elements.networkRuleInitiators.value = rule.initiatorDomains.join(', ');
+  elements.btnSaveNetworkRule.textContent = 'Save Rule';
+  elements.btnCancelNetworkRule.style.display = '';
+  showStatus(elements.networkRuleStatus, '', 'info');
+  updateNetworkRulesTable();
+}
+
+/**
+ * Clear the blocking rule form
+ */
+function resetNetworkRuleForm() {
+  editingNetworkRuleId = null;
+  elements.networkRuleForm.reset();
+  elements.btnSaveNetworkRule.textContent = 'Add Rule';
+  elements.btnCancelNetworkRule.style.display = 'none';
+  updateNetworkRulesTable();
+}
+
+/**
+ * Handle blocking rule form submit
+ * @param {Event} event
+ */
+async function handleSaveNetworkRule(event) {
+  event.preventDefault();
+
+  const rule = {
+    action: elements.networkRuleAction.value,
+    [elements.networkRuleFilterType.value]: elements.networkRuleFilter.value,
+    resourceTypes: Array.from(elements.networkResourceTypes)
+      .filter(checkbox => checkbox.checked)
+      .map(checkbox => checkbox.value),
+    initiatorDomains: elements.networkRuleInitiators.value
+      .split(',')
+      .map(domain => domain.trim())
+      .filter(Boolean)
+  };
+  if (editingNetworkRuleId !== null) {
+    rule.id = editingNetworkRuleId;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'saveNetworkRule', rule: rule });
+    if (response.success) {
+      resetNetworkRuleForm();
+      await loadNetworkRules();
+      showStatus(elements.networkRuleStatus, '', 'info');
+    } else {
+      // Validation errors from the service worker
+      showStatus(elements.networkRuleStatus, '✗ ' + response.error, 'error');
+    }
+  } catch (error) {
+    console.error('[OneClick Cookies] Failed to save blocking rule:', error);
+  }
+}
+
+/**
+ * Handle remove blocking rule
+ * @param {number} id
+ */
+async function handleRemoveNetworkRule(id) {
+  try {
+    await chrome.runtime.sendMessage({ action: 'removeNetworkRule', id: id });
+    if (editingNetworkRuleId === id) {
+      resetNetworkRuleForm();
+    }
+    await loadNetworkRules();
+  } catch (error) {
+    console.error('[OneClick Cookies] Failed to remove blocking rule:', error);
+  }
+}
+
+/**
+ * Render the history entries matching the domain filter
+ */
+function updateHistoryTable() {
+  const query = elements.historySearch.value.trim().toLowerCase();
+  const entries = historyEntries.filter(entry => !query || entry.domain.includes(query));
+
+  elements.historyCount.textContent = query
+    ? `${entries.length} of ${historyEntries.length}`
+    : `${historyEntries.length} entries`;
+
+  elements.historyTable.innerHTML = '';
+  if (entries.length === 0) {
+    appendEmptyRow(elements.historyTable, 6, historyEntries.length === 0 ? 'No history yet' : 'No matching entries');
+    return;
+  }
+
+  for (const entry of entries) {
+    const row = elements.historyTable.insertRow();
+    if (!entry.success) row.className = 'history-failed';
+    row.title = entry.reason || '';
+
+    row.insertCell().textContent = new Date(entry.timestamp).toLocaleString();
+    row.insertCell().textContent = entry.domain;
+    row.insertCell().textContent = `${entry.success ? '✓' : '✗'} ${ACTION_LABELS[entry.action] || entry.action}`;
+    row.insertCell().textContent = entry.cmpName || '–';
+    row.insertCell().textContent = entry.strategy || '–';
+    row.insertCell().textContent = entry.buttonText ? `"${entry.buttonText}"` : '–';
+  }
+}
+
+/**
+ * Handle consent history export
+ * @param {string} format - 'csv' or 'json'
+ */
+async function handleExportHistory(format) {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'exportConsentHistory', format: format });
+    if (response.success) {
+      downloadFile(
+        response.content,
+        response.mimeType,
+        `oneclick-cookies-history-${new Date().toISOString().split('T')[0]}.${format}`
+      );
+    }
+  } catch (error) {
+    console.error('[OneClick Cookies] History export failed:', error);
+  }
+}
+
+/**
+ * Handle clear consent history
+ */
+async function handleClearHistory() {
+  if (!confirm('Delete the whole consent history?')) return;
+
+  try {
+    await chrome.runtime.sendMessage({ action: 'clearConsentHistory' });
+    await loadHistory();
+  } catch (error) {
+    console.error('[OneClick Cookies] Failed to clear consent history:', error);
+  }
+}
+
+/**
+ * Add a placeholder row spanning the whole table
+ * @param {Element} tbody
+ * @param {number} columns
+ * @param {string} text
+ */
+function appendEmptyRow(tbody, columns, text) {
+  const row = tbody.insertRow();
+  row.className = 'empty-row';
+  const cell = row.insertCell();
+  cell.colSpan = columns;
+  cell.textContent = text;
+}
+
+/**
+ * Download text content as a file
+ * @param {string} content
+ * @param {string} mimeType
+ * @param {string} filename
+ */
+function downloadFile(content, mimeType, filename) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Show a status message in a section
+ * @param {Element} element
+ * @param {string} message - Empty to clear
+ * @param {string} type - 'info', 'success', or 'error'
+ */
+function showStatus(element, message, type) {
+  element.textContent = message;
+  element.className = message ? `status-message status-${type}` : 'status-message';
+}
+
+// Initialize options page when DOM is ready
+document.addEventListener('DOMContentLoaded', init);
@@ -11,6 +11,12 @@ const elements = {
   modeManual: document.getElementById('mode-manual'),
   modeAutoAccept: document.getElementById('mode-auto-accept'),
   modeAutoDeny: document.getElementById('mode-auto-deny'),
+  modeCustom: document.getElementById('mode-custom'),
+  modeHide: document.getElementById('mode-hide'),
+
+  // Consent profile
+  profileControls: document.getElementById('profile-controls'),
+  profileToggles: document.querySelectorAll('.profile-toggle'),
   
   // Manual controls
   btnAccept: document.getElementById('btn-accept'),
@@ -20,19 +26,47 @@ const elements = {
   
   // Site controls
   currentDomain: document.getElementById('current-domain'),
-  btnWhitelist: document.getElementById('btn-whitelist'),
-  btnBlacklist: document.getElementById('btn-blacklist'),
-  whitelistDisplay: document.getElementById('whitelist-display'),
-  blacklistDisplay: document.getElementById('blacklist-display'),
+  siteMode: document.getElementById('site-mode'),
+  siteScope: document.getElementById('site-scope'),
+  siteNotes: document.getElementById('site-notes'),
+  siteRulesDisplay: document.getElementById('site-rules-display'),
+  siteHistoryDisplay: document.getElementById('site-history-display'),
+  btnPickElements: document.getElementById('btn-pick-elements'),
+  btnUndoRestore: document.getElementById('btn-undo-restore'),
   
   // Statistics
   statDetected: document.getElementById('stat-detected'),
   statHandled: document.getElementById('stat-handled'),
   statSites: document.getElementById('stat-sites'),
+  statBlocked: document.getElementById('stat-blocked'),
+  blockedPageCount: document.getElementById('blocked-page-count'),
+  blockedRulesDisplay: document.getElementById('blocked-rules-display'),
+  denyFallbackStats: document.getElementById('deny-fallback-stats'),
+  statsChart: document.getElementById('stats-chart'),
+  topCmpTable: document.getElementById('top-cmp-table'),
+  detectorTable: document.getElementById('detector-table'),
   btnResetStats: document.getElementById('btn-reset-stats'),
   
+  // Blocking rules
+  networkRulesDisplay: document.getElementById('network-rules-display'),
+  networkRuleForm: document.getElementById('network-rule-form'),
+  networkRuleAction: document.getElementById('network-rule-action'),
+  networkRuleFilterType: document.getElementById('network-rule-filter-type'),
+  networkRuleFilter: document.getElementById('network-rule-filter'),
+  networkResourceTypes: document.querySelectorAll('.network-resource-type'),
+  networkRuleInitiators: document.getElementById('network-rule-initiators'),
+  btnSaveNetworkRule: document.getElementById('btn-save-network-rule'),
+  btnCancelNetworkRule: document.getElementById('btn-cancel-network-rule'),
+  networkRuleStatus: document.getElementById('network-rule-status'),
+  
   // Settings
   debugMode: document.getElementById('debug-mode'),
+  denyFallback: document.getElementById('deny-fallback'),
+  historyRetention: document.getElementById('history-retention'),
+  btnExportHistoryCsv: document.getElementById('btn-export-history-csv'),
+  btnExportHistoryJson: document.getElementById('btn-export-history-json'),
+  btnClearHistory: document.getElementById('btn-clear-history'),
+  btnOpenOptions: document.getElementById('btn-open-options'),
   btnExport: document.getElementById('btn-export'),
   btnImport: document.getElementById('btn-import'),
   importFile: document.getElementById('import-file')
@@ -40,6 +74,9 @@ const elements = {
 
 let currentConfig = null;
 let currentDomain = null;
+let siteScopes = {}; // Patterns the current domain can be added with, by scope
+let networkRules = [];
+let editingNetworkRuleId = null;
 
 /**
  * Initialize popup
@@ -51,10 +88,14 @@ async function init() {
     
     // Get current tab domain
     await loadCurrentDomain();
+    await loadSiteHistory();
     
     // Load statistics
     await loadStatistics();
     
+    // Load user blocking rules
+    await loadNetworkRules();
+    
     // Setup event listeners
     setupEventListeners();
     
@@ -80,8 +121,10 @@ async function loadConfig() {
     currentConfig = {
       mode: 'manual',
       debugMode: false,
-      whitelist: [],
-      blacklist: []
+      denyFallback: 'accept',
+      consentProfile: {},
+      siteRules: {},
+      historyRetentionDays: 90
     };
   }
 }
@@ -94,8 +137,9 @@ async function loadCurrentDomain() {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     if (tab && tab.url) {
       const url = new URL(tab.url);
-      currentDomain = url.hostname;
+      currentDomain = url.hostname.toLowerCase();
       elements.currentDomain.textContent = currentDomain;
+      await loadSiteScopes();
     } else {
       elements.currentDomain.textContent = 'Unknown';
     }
@@ -105,22 +149,322 @@ async function loadCurrentDomain() {
   }
 }
 
+/**
+ * Load the scopes the current domain can be added with
+ */
+async function loadSiteScopes() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getSiteScopes', domain: currentDomain });
+    if (response.success) {
+      siteScopes = response.scopes;
+    }
+  } catch (error) {
+    console.error('[OneClick Cookies] Failed to load site scopes:', error);
+  }
+
+  const labels = {
+    exact: 'This host only',
+    subdomains: 'This host and its subdomains',
+    site: 'Whole site'
+  };
+
+  elements.siteScope.innerHTML = '';
+  for (const scope of ['site', 'exact', 'subdomains']) {
+    if (!siteScopes[scope]) continue;
+
+    const option = document.createElement('option');
+    option.value = siteScopes[scope];
+    option.textContent = `${labels[scope]} (${siteScopes[scope].replace(/^site:/, '')})`;
+    elements.siteScope.appendChild(option);
+  }
+}
+
+/**
+ * Load the consent history of the current site
+ */
+async function loadSiteHistory() {
+  if (!currentDomain) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'getConsentHistory',
+      domain: currentDomain,
+      limit: 20
+    });
+    if (response.success) {
+      updateSiteHistoryDisplay(response.entries);
+    }
+  } catch (error) {
+    console.error('[OneClick Cookies] Failed to load consent history:', error);
+  }
+}
+
+/**
+ * Update consent history display
+ * @param {Array<Object>} entries - Newest first
+ */
+function updateSiteHistoryDisplay(entries) {
+  const actionLabels = {
+    accept: 'Accepted',
+    deny: 'Denied',
+    custom: 'Custom profile',
+    hide: 'Hidden'
+  };
+
+  if (entries.length === 0) {
+    elements.siteHistoryDisplay.textContent = 'None';
+    return;
+  }
+
+  elements.siteHistoryDisplay.innerHTML = '';
+  for (const entry of entries) {
+    const item = document.createElement('div');
+    item.className = entry.success ? 'history-entry' : 'history-entry history-entry-failed';
+    item.title = [entry.domain, entry.strategy && `via ${entry.strategy}`, entry.reason].filter(Boolean).join(' · ');
+
+    const summary = document.createElement('div');
+    const action = actionLabels[entry.action] || entry.action;
+    summary.textContent = `${entry.success ? '✓' : '✗'} ${action}` +
+      (entry.cmpName ? ` · ${entry.cmpName}` : '') +
+      (entry.buttonText ? ` · "${entry.buttonText}"` : '');
+
+    const meta = document.createElement('div');
+    meta.className = 'history-meta';
+    meta.textContent = new Date(entry.timestamp).toLocaleString() +
+      (entry.tcfPurposes ? ` · TCF purposes: ${entry.tcfPurposes.join(', ') || 'none'}` : '');
+
+    item.append(summary, meta);
+    elements.siteHistoryDisplay.appendChild(item);
+  }
+}
+
 /**
  * Load statistics
  */
 async function loadStatistics() {
+  // Collects new matches first, so the blocked total below is current
+  await loadBlockedRequests();
+
   try {
     const response = await chrome.runtime.sendMessage({ action: 'getStats' });
     if (response.success) {
       elements.statDetected.textContent = response.stats.bannersDetected;
       elements.statHandled.textContent = response.stats.bannersHandled;
       elements.statSites.textContent = response.stats.sitesVisited;
+      elements.statBlocked.textContent = response.stats.requestsBlocked || 0;
+      updateDenyFallbackStats(response.stats.denyFallbacks || {});
+    }
+
+    const seriesResponse = await chrome.runtime.sendMessage({ action: 'getTimeSeries', days: 14 });
+    if (seriesResponse.success) {
+      updateStatsChart(seriesResponse.series.days);
+      updateBreakdownTable(elements.topCmpTable, seriesResponse.series.byCMP);
+      updateBreakdownTable(elements.detectorTable, seriesResponse.series.byType);
     }
   } catch (error) {
     console.error('[OneClick Cookies] Failed to load statistics:', error);
   }
 }
 
+/**
+ * Draw one bar per day: detections, with handled and failed banners inside
+ * @param {Array<Object>} days - Items of `{ date, detected, handled, failed }`, oldest first
+ */
+function updateStatsChart(days) {
+  const totals = days.map(day => Math.max(day.detected, day.handled + day.failed));
+  const max = Math.max(1, ...totals);
+
+  elements.statsChart.innerHTML = '';
+  days.forEach((day, i) => {
+    const column = document.createElement('div');
+    column.className = 'chart-day';
+    column.title = `${day.date}: ${day.detected} detected, ${day.handled} handled, ${day.failed} failed`;
+
+    const bar = document.createElement('div');
+    bar.className = 'chart-bar';
+    bar.style.height = `${(totals[i] / max) * 100}%`;
+
+    for (const [key, className] of [['handled', 'chart-handled'], ['failed', 'chart-failed']]) {
+      if (day[key] === 0) continue;
+      const segment = document.createElement('div');
+      segment.className = className;
+      segment.style.height = `${(day[key] / totals[i]) * 100}%`;
+      bar.appendChild(segment);
+    }
+
+    column.appendChild(bar);
+    elements.statsChart.appendChild(column);
+  });
+}
+
+/**
+ * Fill a breakdown table with the busiest entries and their success rates
+ * @param {Element} tbody
+ * @param {Object} counters - Name -> `{ detected, handled, failed }`
+ */
+function updateBreakdownTable(tbody, counters) {
+  const rows = Object.entries(counters)
+    .sort(([, a], [, b]) => b.detected - a.detected || b.handled - a.handled)
+    .slice(0, 8);
+
+  tbody.innerHTML = '';
+  if (rows.length === 0) {
+    const row = tbody.insertRow();
+    const cell = row.insertCell();
+    cell.colSpan = 4;
+    cell.textContent = 'No data yet';
+    return;
+  }
+
+  for (const [name, counts] of rows) {
+    const attempts = counts.handled + counts.failed;
+    const row = tbody.insertRow();
+    row.insertCell().textContent = name;
+    row.insertCell().textContent = counts.detected;
+    row.insertCell().textContent = counts.handled;
+    row.insertCell().textContent = attempts > 0 ? `${Math.round((counts.handled / attempts) * 100)}%` : '–';
+  }
+}
+
+/**
+ * Load the requests blocked on the current page, by rule
+ */
+async function loadBlockedRequests() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) return;
+
+    const response = await chrome.runtime.sendMessage({ action: 'getBlockedRequests', tabId: tab.id });
+    if (!response.success) return;
+
+    const { total, rules } = response.blocked;
+    elements.blockedPageCount.textContent = total;
+
+    if (rules.length === 0) {
+      elements.blockedRulesDisplay.textContent = 'None';
+      return;
+    }
+
+    elements.blockedRulesDisplay.innerHTML = '';
+    for (const rule of rules) {
+      const entry = document.createElement('div');
+      entry.className = 'list-entry';
+      entry.title = rule.builtIn ? 'Built-in blocking rule' : 'Your blocking rule';
+
+      const filter = document.createElement('span');
+      filter.textContent = rule.filter;
+
+      const count = document.createElement('span');
+      count.className = 'blocked-count';
+      count.textContent = rule.count;
+
+      entry.append(filter, count);
+      elements.blockedRulesDisplay.appendChild(entry);
+    }
+  } catch (error) {
+    console.error('[OneClick Cookies] Failed to load blocked requests:', error);
+  }
+}
+
+/**
+ * Show how often each deny fallback path was taken
+ * @param {Object} counts - Map of fallback path to count
+ */
+function updateDenyFallbackStats(counts) {
+  const labels = {
+    accept: 'accepted',
+    hide: 'hidden',
+    settings: 'settings saved',
+    leave: 'left'
+  };
+
+  const parts = Object.keys(labels)
+    .filter(path => counts[path] > 0)
+    .map(path => `${counts[path]} ${labels[path]}`);
+
+  elements.denyFallbackStats.textContent = parts.length > 0 ? parts.join(' · ') : 'None';
+}
+
+/**
+ * Load user-defined blocking rules
+ */
+async function loadNetworkRules() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getNetworkRules' });
+    if (response.success) {
+      networkRules = response.rules;
+      updateNetworkRulesDisplay();
+    }
+  } catch (error) {
+    console.error('[OneClick Cookies] Failed to load blocking rules:', error);
+  }
+}
+
+/**
+ * Update blocking rules display
+ */
+function updateNetworkRulesDisplay() {
+  if (networkRules.length === 0) {
+    elements.networkRulesDisplay.textContent = 'None';
+    return;
+  }
+
+  elements.networkRulesDisplay.innerHTML = '';
+  for (const rule of networkRules) {
+    const entry = document.createElement('div');
+    entry.className = 'list-entry network-rule-entry';
+    entry.title = `${rule.resourceTypes.join(', ')}${rule.initiatorDomains.length > 0 ? ` on ${rule.initiatorDomains.join(', ')}` : ''}`;
+    entry.addEventListener('click', () => editNetworkRule(rule));
+
+    const filter = document.createElement('span');
+    filter.textContent = rule.urlFilter || `/${rule.regexFilter}/`;
+
+    const action = document.createElement('span');
+    action.className = `rule-mode rule-mode-${rule.action === 'allow' ? 'accept' : 'deny'}`;
+    action.textContent = rule.action === 'allow' ? 'Allow' : 'Block';
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'remove-btn';
+    removeBtn.textContent = '×';
+    removeBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      handleRemoveNetworkRule(rule.id);
+    });
+
+    entry.append(filter, action, removeBtn);
+    elements.networkRulesDisplay.appendChild(entry);
+  }
+}
+
+/**
+ * Load a rule into the form for editing
+ * @param {Object} rule
+ */
+function editNetworkRule(rule) {
+  editingNetworkRuleId = rule.id;
+  elements.networkRuleAction.value = rule.action;
+  elements.networkRuleFilterType.value = rule.urlFilter ? 'urlFilter' : 'regexFilter';
+  elements.networkRuleFilter.value = rule.urlFilter || rule.regexFilter;
+  elements.networkResourceTypes.forEach(checkbox => {
+    checkbox.checked = rule.resourceTypes.includes(checkbox.value);
+  });
+  elements.networkRuleInitiators.value = rule.initiatorDomains.join(', ');
+  elements.btnSaveNetworkRule.textContent = 'Save Rule';
+  elements.btnCancelNetworkRule.style.display = '';
+  elements.networkRuleStatus.textContent = '';
+  elements.networkRuleStatus.className = 'status-message';
+}
+
+/**
+ * Clear the blocking rule form
+ */
+function resetNetworkRuleForm() {
+  editingNetworkRuleId = null;
+  elements.networkRuleForm.reset();
+  elements.btnSaveNetworkRule.textContent = 'Add Rule';
+  elements.btnCancelNetworkRule.style.display = 'none';
+}
+
 /**
  * Setup event listeners
  */
@@ -129,20 +473,40 @@ function setupEventListeners() {
   elements.modeManual.addEventListener('click', () => setMode('manual'));
   elements.modeAutoAccept.addEventListener('click', () => setMode('auto-accept'));
   elements.modeAutoDeny.addEventListener('click', () => setMode('auto-deny'));
+  elements.modeCustom.addEventListener('click', () => setMode('custom'));
+  elements.modeHide.addEventListener('click', () => setMode('hide'));
+
+  // Consent profile toggles
+  elements.profileToggles.forEach(toggle => {
+    toggle.addEventListener('change', handleProfileToggle);
+  });
   
   // Manual control buttons
   elements.btnAccept.addEventListener('click', handleManualAccept);
   elements.btnDeny.addEventListener('click', handleManualDeny);
   
   // Site control buttons
-  elements.btnWhitelist.addEventListener('click', handleAddToWhitelist);
-  elements.btnBlacklist.addEventListener('click', handleAddToBlacklist);
+  elements.siteMode.addEventListener('change', handleSiteModeChange);
+  elements.siteScope.addEventListener('change', handleSiteScopeChange);
+  elements.siteNotes.addEventListener('change', handleSiteNotesChange);
+  elements.btnPickElements.addEventListener('click', handlePickElements);
+  elements.btnUndoRestore.addEventListener('click', handleUndoRestore);
   
   // Statistics
   elements.btnResetStats.addEventListener('click', handleResetStats);
   
+  // Blocking rules
+  elements.networkRuleForm.addEventListener('submit', handleSaveNetworkRule);
+  elements.btnCancelNetworkRule.addEventListener('click', resetNetworkRuleForm);
+  
   // Settings
   elements.debugMode.addEventListener('change', handleDebugModeToggle);
+  elements.denyFallback.addEventListener('change', handleDenyFallbackChange);
+  elements.historyRetention.addEventListener('change', handleHistoryRetentionChange);
+  elements.btnExportHistoryCsv.addEventListener('click', () => handleExportHistory('csv'));
+  elements.btnExportHistoryJson.addEventListener('click', () => handleExportHistory('json'));
+  elements.btnClearHistory.addEventListener('click', handleClearHistory);
+  elements.btnOpenOptions.addEventListener('click', () => chrome.runtime.openOptionsPage());
   
   // Import/Export
   elements.btnExport.addEventListener('click', handleExportSettings);
@@ -171,73 +535,146 @@ function updateUI() {
   } else {
     elements.manualControls.style.display = 'none';
   }
+
+  // Show consent profile only in custom mode
+  elements.profileControls.style.display = activeMode === 'custom' ? 'block' : 'none';
+  elements.profileToggles.forEach(toggle => {
+    toggle.checked = !!currentConfig.consentProfile?.[toggle.dataset.purpose];
+  });
   
   // Update debug mode checkbox
   elements.debugMode.checked = currentConfig.debugMode;
+  elements.denyFallback.value = currentConfig.denyFallback || 'accept';
+  elements.historyRetention.value = String(currentConfig.historyRetentionDays || 90);
   
-  // Update whitelist/blacklist display
-  updateListDisplay();
+  // Update site rules
+  updateSiteRuleControls();
+  updateSiteRulesDisplay();
 }
 
 /**
- * Update whitelist/blacklist display
+ * Show the rule for the current site
  */
-function updateListDisplay() {
-  // Whitelist
-  if (currentConfig.whitelist && currentConfig.whitelist.length > 0) {
-    elements.whitelistDisplay.innerHTML = currentConfig.whitelist
-      .map(domain => `
-        <div class="list-entry">
-          ${domain}
-          <button class="remove-btn" data-list="whitelist" data-domain="${domain}">×</button>
-        </div>
-      `)
-      .join('');
-  } else {
-    elements.whitelistDisplay.textContent = 'None';
+function updateSiteRuleControls() {
+  const match = getCurrentSiteMatch();
+
+  elements.siteMode.disabled = !currentDomain;
+  elements.siteScope.disabled = !currentDomain;
+  elements.siteMode.value = match?.rule.mode || '';
+  elements.siteNotes.value = match?.rule.notes || '';
+  elements.siteNotes.disabled = !match;
+
+  // A rule can come from a pattern the scope list does not offer, e.g. a parent wildcard
+  elements.siteScope.querySelectorAll('option[data-existing]').forEach(option => option.remove());
+  if (match && !Array.from(elements.siteScope.options).some(o => o.value === match.pattern)) {
+    const option = document.createElement('option');
+    option.dataset.existing = 'true';
+    option.value = match.pattern;
+    option.textContent = `Existing rule (${match.pattern})`;
+    elements.siteScope.appendChild(option);
   }
-  
-  // Blacklist
-  if (currentConfig.blacklist && currentConfig.blacklist.length > 0) {
-    elements.blacklistDisplay.innerHTML = currentConfig.blacklist
-      .map(domain => `
-        <div class="list-entry">
-          ${domain}
-          <button class="remove-btn" data-list="blacklist" data-domain="${domain}">×</button>
-        </div>
-      `)
-      .join('');
-  } else {
-    elements.blacklistDisplay.textContent = 'None';
+  if (match) {
+    elements.siteScope.value = match.pattern;
+  }
+}
+
+/**
+ * Find the site rule that applies to the current domain
+ * @returns {Object|null} `{ pattern, rule }`
+ */
+function getCurrentSiteMatch() {
+  if (!currentDomain) return null;
+  return new SiteMatcher(currentConfig.siteRules).match(currentDomain);
+}
+
+/**
+ * Update site rules display
+ */
+function updateSiteRulesDisplay() {
+  const modeLabels = {
+    accept: 'Accept',
+    deny: 'Deny',
+    custom: 'Custom',
+    hide: 'Hide',
+    ignore: 'Ignore'
+  };
+  const domains = Object.keys(currentConfig.siteRules || {}).sort();
+
+  if (domains.length === 0) {
+    elements.siteRulesDisplay.textContent = 'None';
+    return;
+  }
+
+  elements.siteRulesDisplay.innerHTML = '';
+  for (const domain of domains) {
+    const rule = currentConfig.siteRules[domain];
+
+    const entry = document.createElement('div');
+    entry.className = 'list-entry';
+    entry.title = rule.notes || '';
+
+    const name = document.createElement('span');
+    name.textContent = domain;
+
+    const mode = document.createElement('span');
+    mode.className = `rule-mode rule-mode-${rule.mode}`;
+    mode.textContent = modeLabels[rule.mode] || rule.mode;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'remove-btn';
+    removeBtn.textContent = '×';
+    removeBtn.addEventListener('click', () => handleRemoveSiteRule(domain));
+
+    entry.append(name, mode, removeBtn);
+    elements.siteRulesDisplay.appendChild(entry);
   }
-  
-  // Add remove button listeners
-  document.querySelectorAll('.remove-btn').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      const list = e.target.dataset.list;
-      const domain = e.target.dataset.domain;
-      handleRemoveFromList(list, domain);
-    });
-  });
 }
 
 /**
  * Set mode
- * @param {string} mode - 'manual', 'auto-accept', or 'auto-deny'
+ * @param {string} mode - 'manual', 'auto-accept', 'auto-deny', 'custom', or 'hide'
  */
 async function setMode(mode) {
   try {
-    currentConfig.mode = mode;
-    await chrome.runtime.sendMessage({
-      action: 'updateConfig',
-      config: currentConfig
-    });
+    await sendConfigChanges({ mode: mode });
     updateUI();
   } catch (error) {
     console.error('[OneClick Cookies] Failed to set mode:', error);
   }
 }
 
+/**
+ * Handle consent profile toggle change
+ * @param {Event} event
+ */
+async function handleProfileToggle(event) {
+  try {
+    await sendConfigChanges({
+      consentProfile: { [event.target.dataset.purpose]: event.target.checked }
+    });
+  } catch (error) {
+    console.error('[OneClick Cookies] Failed to update consent profile:', error);
+  }
+}
+
+/**
+ * Save configuration changes
+ * Only the changed keys are sent; the cached config may be older than what the options page saved.
+ * @param {Object} changes - Config keys to update, consentProfile with only the changed purposes
+ * @returns {Promise}
+ */
+async function sendConfigChanges(changes) {
+  currentConfig = {
+    ...currentConfig,
+    ...changes,
+    consentProfile: { ...currentConfig.consentProfile, ...changes.consentProfile }
+  };
+  await chrome.runtime.sendMessage({
+    action: 'updateConfig',
+    config: changes
+  });
+}
+
 /**
  * Handle manual accept
  */
@@ -299,55 +736,124 @@ async function handleManualDeny() {
 }
 
 /**
- * Handle add to whitelist
+ * Handle site mode change for the current site
  */
-async function handleAddToWhitelist() {
+async function handleSiteModeChange() {
   if (!currentDomain) return;
-  
+
   try {
-    await chrome.runtime.sendMessage({
-      action: 'addToWhitelist',
-      domain: currentDomain
-    });
-    
+    const mode = elements.siteMode.value;
+    const match = getCurrentSiteMatch();
+    if (mode) {
+      await chrome.runtime.sendMessage({
+        action: 'setSiteRule',
+        domain: elements.siteScope.value || currentDomain,
+        rule: { mode: mode }
+      });
+    } else if (match) {
+      await chrome.runtime.sendMessage({
+        action: 'removeSiteRule',
+        domain: match.pattern
+      });
+    }
+
     // Reload config and update UI
     await loadConfig();
     updateUI();
   } catch (error) {
-    console.error('[OneClick Cookies] Failed to add to whitelist:', error);
+    console.error('[OneClick Cookies] Failed to update site rule:', error);
   }
 }
 
 /**
- * Handle add to blacklist
+ * Handle scope change, moving an existing rule to the chosen pattern
  */
-async function handleAddToBlacklist() {
-  if (!currentDomain) return;
-  
+async function handleSiteScopeChange() {
+  const match = getCurrentSiteMatch();
+  const pattern = elements.siteScope.value;
+  if (!match || !pattern || pattern === match.pattern) return;
+
   try {
     await chrome.runtime.sendMessage({
-      action: 'addToBlacklist',
-      domain: currentDomain
+      action: 'setSiteRule',
+      domain: pattern,
+      rule: match.rule
     });
-    
+    await chrome.runtime.sendMessage({
+      action: 'removeSiteRule',
+      domain: match.pattern
+    });
+
     // Reload config and update UI
     await loadConfig();
     updateUI();
   } catch (error) {
-    console.error('[OneClick Cookies] Failed to add to blacklist:', error);
+    console.error('[OneClick Cookies] Failed to change site rule scope:', error);
   }
 }
 
 /**
- * Handle remove from list
- * @param {string} listName - 'whitelist' or 'blacklist'
+ * Handle notes change for the current site's rule
+ */
+async function handleSiteNotesChange() {
+  const match = getCurrentSiteMatch();
+  if (!match) return;
+
+  try {
+    await chrome.runtime.sendMessage({
+      action: 'setSiteRule',
+      domain: match.pattern,
+      rule: { notes: elements.siteNotes.value }
+    });
+    await loadConfig();
+  } catch (error) {
+    console.error('[OneClick Cookies] Failed to update site notes:', error);
+  }
+}
+
+/**
+ * Start the element picker on the current page
+ * The popup closes so the page can be clicked.
+ */
+async function handlePickElements() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    // Only the top frame; banners in iframes cannot be picked
+    await chrome.tabs.sendMessage(tab.id, { action: 'startPicker' }, { frameId: 0 });
+    window.close();
+  } catch (error) {
+    console.error('[OneClick Cookies] Failed to start element picker:', error);
+    showStatus('✗ Cannot pick elements on this page', 'error');
+  }
+}
+
+/**
+ * Undo the scroll-lock and obstruction fixes on the current page
+ */
+async function handleUndoRestore() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'undoPageRestore' });
+
+    if (response?.count > 0) {
+      showStatus(`✓ Undid ${response.count} page fixes`, 'success');
+    } else {
+      showStatus('No page fixes to undo', 'info');
+    }
+  } catch (error) {
+    console.error('[OneClick Cookies] Failed to undo page fixes:', error);
+    showStatus('✗ Error: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Handle remove site rule
  * @param {string} domain
  */
-async function handleRemoveFromList(listName, domain) {
+async function handleRemoveSiteRule(domain) {
   try {
-    const action = listName === 'whitelist' ? 'removeFromWhitelist' : 'removeFromBlacklist';
     await chrome.runtime.sendMessage({
-      action: action,
+      action: 'removeSiteRule',
       domain: domain
     });
     
@@ -355,7 +861,62 @@ async function handleRemoveFromList(listName, domain) {
     await loadConfig();
     updateUI();
   } catch (error) {
-    console.error(`[OneClick Cookies] Failed to remove from ${listName}:`, error);
+    console.error('[OneClick Cookies] Failed to remove site rule:', error);
+  }
+}
+
+/**
+ * Handle blocking rule form submit
+ * @param {Event} event
+ */
+async function handleSaveNetworkRule(event) {
+  event.preventDefault();
+
+  const rule = {
+    action: elements.networkRuleAction.value,
+    [elements.networkRuleFilterType.value]: elements.networkRuleFilter.value,
+    resourceTypes: Array.from(elements.networkResourceTypes)
+      .filter(checkbox => checkbox.checked)
+      .map(checkbox => checkbox.value),
+    initiatorDomains: elements.networkRuleInitiators.value
+      .split(',')
+      .map(domain => domain.trim())
+      .filter(Boolean)
+  };
+  if (editingNetworkRuleId !== null) {
+    rule.id = editingNetworkRuleId;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'saveNetworkRule', rule: rule });
+    if (response.success) {
+      resetNetworkRuleForm();
+      await loadNetworkRules();
+      elements.networkRuleStatus.textContent = '';
+      elements.networkRuleStatus.className = 'status-message';
+    } else {
+      // Validation errors from the service worker
+      elements.networkRuleStatus.textContent = '✗ ' + response.error;
+      elements.networkRuleStatus.className = 'status-message status-error';
+    }
+  } catch (error) {
+    console.error('[OneClick Cookies] Failed to save blocking rule:', error);
+  }
+}
+
+/**
+ * Handle remove blocking rule
+ * @param {number} id
+ */
+async function handleRemoveNetworkRule(id) {
+  try {
+    await chrome.runtime.sendMessage({ action: 'removeNetworkRule', id: id });
+    if (editingNetworkRuleId === id) {
+      resetNetworkRuleForm();
+    }
+    await loadNetworkRules();
+  } catch (error) {
+    console.error('[OneClick Cookies] Failed to remove blocking rule:', error);
   }
 }
 
@@ -378,16 +939,69 @@ async function handleResetStats() {
  */
 async function handleDebugModeToggle() {
   try {
-    currentConfig.debugMode = elements.debugMode.checked;
-    await chrome.runtime.sendMessage({
-      action: 'updateConfig',
-      config: currentConfig
-    });
+    await sendConfigChanges({ debugMode: elements.debugMode.checked });
   } catch (error) {
     console.error('[OneClick Cookies] Failed to toggle debug mode:', error);
   }
 }
 
+/**
+ * Handle deny fallback policy change
+ */
+async function handleDenyFallbackChange() {
+  try {
+    await sendConfigChanges({ denyFallback: elements.denyFallback.value });
+  } catch (error) {
+    console.error('[OneClick Cookies] Failed to update deny fallback:', error);
+  }
+}
+
+/**
+ * Handle consent history retention change
+ */
+async function handleHistoryRetentionChange() {
+  try {
+    await sendConfigChanges({ historyRetentionDays: Number(elements.historyRetention.value) });
+  } catch (error) {
+    console.error('[OneClick Cookies] Failed to update history retention:', error);
+  }
+}
+
+/**
+ * Handle consent history export
+ * @param {string} format - 'csv' or 'json'
+ */
+async function handleExportHistory(format) {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'exportConsentHistory', format: format });
+    if (response.success) {
+      downloadFile(
+        response.content,
+        response.mimeType,
+        `oneclick-cookies-history-${new Date().toISOString().split('T')[0]}.${format}`
+      );
+      showStatus('✓ History exported successfully!', 'success');
+    }
+  } catch (error) {
+    console.error('[OneClick Cookies] History export failed:', error);
+    showStatus('✗ Export failed: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Handle clear consent history
+ */
+async function handleClearHistory() {
+  if (!confirm('Delete the whole consent history?')) return;
+
+  try {
+    await chrome.runtime.sendMessage({ action: 'clearConsentHistory' });
+    updateSiteHistoryDisplay([]);
+  } catch (error) {
+    console.error('[OneClick Cookies] Failed to clear consent history:', error);
+  }
+}
+
 /**
  * Handle export settings
  */
@@ -396,16 +1010,11 @@ async function handleExportSettings() {
     const response = await chrome.runtime.sendMessage({ action: 'exportSettings' });
     
     if (response.success) {
-      const dataStr = JSON.stringify(response.data, null, 2);
-      const dataBlob = new Blob([dataStr], { type: 'application/json' });
-      const url = URL.createObjectURL(dataBlob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = `oneclick-cookies-backup-${new Date().toISOString().split('T')[0]}.json`;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      URL.revokeObjectURL(url);
+      downloadFile(
+        JSON.stringify(response.data, null, 2),
+        'application/json',
+        `oneclick-cookies-backup-${new Date().toISOString().split('T')[0]}.json`
+      );
       
       showStatus('✓ Settings exported successfully!', 'success');
     }
@@ -435,6 +1044,7 @@ async function handleImportSettings() {
         if (response.success) {
           // Reload configuration
           await loadConfig();
+          await loadNetworkRules();
           updateUI();
           showStatus('✓ Settings imported successfully!', 'success');
         } else {
@@ -454,6 +1064,24 @@ async function handleImportSettings() {
   }
 }
 
+/**
+ * Download text content as a file
+ * @param {string} content
+ * @param {string} mimeType
+ * @param {string} filename
+ */
+function downloadFile(content, mimeType, filename) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
 /**
  * Show status message
  * @param {string} message
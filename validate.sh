@@ -8,12 +8,32 @@ echo "📁 Checking required files..."
 required_files=(
   "manifest.json"
   "background/service-worker.js"
+  "background/consent-history.js"
+  "content/text-matcher.js"
+  "content/language-packs.js"
   "content/detector.js"
+  "content/click-guard.js"
+  "content/button-classifier.js"
+  "content/banner-classifier.js"
+  "content/action-runner.js"
+  "content/tcf-decoder.js"
+  "content/page-bridge.js"
+  "content/page-bridge-client.js"
+  "content/banner-hider.js"
+  "content/page-restorer.js"
+  "content/site-matcher.js"
+  "content/element-picker.js"
+  "content/debug-overlay.js"
   "content/content-script.js"
   "popup/popup.html"
   "popup/popup.css"
   "popup/popup.js"
+  "options/options.html"
+  "options/options.css"
+  "options/options.js"
   "rules/consent-patterns.json"
+  "rules/languages/index.json"
+  "rules/public-suffix.json"
   "assets/icons/icon16.png"
   "assets/icons/icon32.png"
   "assets/icons/icon48.png"
@@ -48,15 +68,47 @@ else
   exit 1
 fi
 
+for file in rules/languages/*.json; do
+  if python3 -m json.tool "$file" > /dev/null 2>&1; then
+    echo "  ✓ $file is valid"
+  else
+    echo "  ✗ $file is invalid"
+    exit 1
+  fi
+done
+
+if python3 -m json.tool rules/public-suffix.json > /dev/null 2>&1; then
+  echo "  ✓ public-suffix.json is valid"
+else
+  echo "  ✗ public-suffix.json is invalid"
+  exit 1
+fi
+
 echo ""
 echo "🔧 Checking JavaScript syntax..."
 
 # Check JavaScript files
 js_files=(
   "background/service-worker.js"
+  "background/consent-history.js"
+  "content/text-matcher.js"
+  "content/language-packs.js"
   "content/detector.js"
+  "content/click-guard.js"
+  "content/button-classifier.js"
+  "content/banner-classifier.js"
+  "content/action-runner.js"
+  "content/tcf-decoder.js"
+  "content/page-bridge.js"
+  "content/page-bridge-client.js"
+  "content/banner-hider.js"
+  "content/page-restorer.js"
+  "content/site-matcher.js"
+  "content/element-picker.js"
+  "content/debug-overlay.js"
   "content/content-script.js"
   "popup/popup.js"
+  "options/options.js"
 )
 
 js_errors=0